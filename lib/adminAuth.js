@@ -0,0 +1,36 @@
+// lib/adminAuth.js
+// Bearer-token authentication for the admin API (sync, rules, moderation,
+// reconciliation, privacy)
+//
+// Requests must send `Authorization: Bearer <ADMIN_API_TOKEN>`. Without a
+// configured token the admin API is closed rather than open.
+
+import crypto from 'crypto';
+
+let warnedMissing = false;
+
+// Constant-time string comparison
+function tokensMatch(received, expected) {
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Express middleware guarding admin routers
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    if (!warnedMissing) {
+      console.warn('⚠️ ADMIN_API_TOKEN not set: admin API requests are refused');
+      warnedMissing = true;
+    }
+    return res.status(503).json({ error: 'Admin API disabled: ADMIN_API_TOKEN is not set' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !tokensMatch(token, expected)) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+
+  next();
+}
@@ -0,0 +1,208 @@
+// lib/catalogIdentity.js
+// Store-scoped handles and SKUs, so every store can share one Medusa catalog
+//
+// Handles: a product keeps the Shopify handle unless another product already
+// holds it, in which case it gets "<handle>-<store>" (then "-2", "-3"...). The
+// handle is assigned once and stored on the mapping, so Shopify renames don't
+// move storefront URLs.
+// SKUs: always prefixed "<store>:<sku>"; a SKU another variant already holds
+// gets the Shopify variant ID appended. The SKU is stored on the variant
+// mapping and kept while the Shopify SKU is unchanged, so which variant gets
+// the suffix doesn't depend on sync order. The original SKU is kept in
+// variant metadata.
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const MAX_HANDLE_SUFFIX = 50;
+
+// Short, URL-safe store identifier: "acme-store.myshopify.com" -> "acme-store"
+export function storeSlug(shop) {
+  return shop
+    .replace(/\.myshopify\.com$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function handleCandidates(shop, handle) {
+  const scoped = `${handle}-${storeSlug(shop)}`;
+  return [
+    handle,
+    scoped,
+    ...Array.from({ length: MAX_HANDLE_SUFFIX - 1 }, (_, index) => `${scoped}-${index + 2}`)
+  ];
+}
+
+// The Medusa handle for a product. `taken` holds handles Medusa rejected as
+// duplicates this attempt. Returns { handle, conflict } where conflict is null
+// or { type, value, resolvedAs, conflictsWith }.
+export async function resolveMedusaHandle(shop, shopifyProductId, handle, taken = new Set()) {
+  const mapping = await prisma.product.findUnique({
+    where: { shopifyProductId_storeName: { shopifyProductId, storeName: shop } }
+  });
+
+  if (mapping?.medusaHandle && !taken.has(mapping.medusaHandle)) {
+    return { handle: mapping.medusaHandle, conflict: null };
+  }
+
+  let holder = null;
+  for (const candidate of handleCandidates(shop, handle)) {
+    if (taken.has(candidate)) continue;
+
+    const claim = await prisma.product.findFirst({
+      where: {
+        medusaHandle: candidate,
+        NOT: { shopifyProductId, storeName: shop }
+      }
+    });
+    if (claim) {
+      holder = holder || claim;
+      continue;
+    }
+
+    const conflict = candidate === handle ? null : {
+      type: 'handle',
+      value: handle,
+      resolvedAs: candidate,
+      conflictsWith: holder ? `${holder.storeName} ${holder.shopifyProductId}` : 'existing Medusa product'
+    };
+    return { handle: candidate, conflict };
+  }
+
+  throw new Error(`No free Medusa handle for "${handle}" after ${MAX_HANDLE_SUFFIX} attempts`);
+}
+
+// Record a handle on a mapping that doesn't have one yet
+export async function claimMedusaHandle(shop, shopifyProductId, handle) {
+  await prisma.product.updateMany({
+    where: { shopifyProductId, storeName: shop, medusaHandle: null },
+    data: { medusaHandle: handle }
+  });
+}
+
+// Whether a Medusa error is a duplicate-handle rejection
+export function isHandleTakenError(error) {
+  const status = error.response?.status;
+  const message = JSON.stringify(error.response?.data || '');
+  return (status === 409 || status === 422) && /handle/i.test(message) && /exist|duplicate|taken/i.test(message);
+}
+
+// Another variant whose mapping holds a scoped SKU, or null
+async function findSkuHolder(sku, shopifyVariantId) {
+  return prisma.variant.findFirst({
+    where: { medusaSku: sku, NOT: { shopifyVariantId } },
+    select: { shopifyVariantId: true }
+  });
+}
+
+// Store-scoped SKUs for a product's transformed variants. A variant keeps the
+// SKU stored on its mapping while its Shopify SKU is the same; otherwise the
+// scoped SKU is suffixed only if another variant already holds it.
+// Returns { variants, conflicts }
+export async function resolveVariantSkus(shop, shopifyProductId, variants) {
+  const prefix = storeSlug(shop);
+  const rows = await prisma.variant.findMany({
+    where: { shopifyProductId },
+    select: { shopifyVariantId: true, medusaSku: true }
+  });
+  const stored = new Map(rows.map(row => [row.shopifyVariantId, row.medusaSku]));
+  // Scoped SKUs handed out so far in this product, for variants not yet saved
+  const claimed = new Map();
+  const conflicts = [];
+  const scoped = [];
+
+  for (const variant of variants) {
+    if (!variant.sku) {
+      scoped.push(variant);
+      continue;
+    }
+
+    const plain = `${prefix}:${variant.sku}`;
+    const suffixed = `${plain}-${variant.shopifyVariantId.split('/').pop()}`;
+    const holder = claimed.get(plain) || (await findSkuHolder(plain, variant.shopifyVariantId))?.shopifyVariantId;
+    const previous = stored.get(variant.shopifyVariantId);
+
+    const sku = previous === plain || previous === suffixed ? previous : (holder ? suffixed : plain);
+
+    if (sku === suffixed && holder) {
+      conflicts.push({ type: 'sku', value: variant.sku, resolvedAs: sku, conflictsWith: holder });
+    }
+    claimed.set(sku, variant.shopifyVariantId);
+
+    scoped.push({
+      ...variant,
+      sku,
+      metadata: { ...variant.metadata, shopify_sku: variant.sku }
+    });
+  }
+
+  return { variants: scoped, conflicts };
+}
+
+// Record SKUs on variant mappings that don't have one yet
+export async function claimVariantSkus(shopifyProductId, variants) {
+  for (const { shopifyVariantId, sku } of variants) {
+    if (!sku) continue;
+    await prisma.variant.updateMany({
+      where: { shopifyVariantId, shopifyProductId, medusaSku: null },
+      data: { medusaSku: sku }
+    });
+  }
+}
+
+// Record conflicts found while syncing a product. A conflict seen again is
+// updated in place, so the report lists each one once with its latest run.
+export async function recordConflicts(shop, shopifyProductId, conflicts, runId = null) {
+  for (const conflict of conflicts) {
+    try {
+      await prisma.syncConflict.upsert({
+        where: {
+          storeName_shopifyProductId_type_value: {
+            storeName: shop,
+            shopifyProductId,
+            type: conflict.type,
+            value: conflict.value
+          }
+        },
+        update: {
+          resolvedAs: conflict.resolvedAs,
+          conflictsWith: conflict.conflictsWith,
+          lastRunId: runId,
+          lastSeenAt: new Date()
+        },
+        create: {
+          storeName: shop,
+          shopifyProductId,
+          lastRunId: runId,
+          ...conflict
+        }
+      });
+    } catch (error) {
+      // The report is best-effort, like run history
+      console.error(`⚠️ Failed to record ${conflict.type} conflict: ${error.message}`);
+    }
+  }
+}
+
+// List recorded conflicts, most recently seen first
+export async function listConflicts({ shop, type, runId, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(type && { type }),
+    ...(runId && { lastRunId: runId })
+  };
+
+  const [conflicts, total] = await Promise.all([
+    prisma.syncConflict.findMany({
+      where,
+      orderBy: { lastSeenAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.syncConflict.count({ where })
+  ]);
+
+  return { conflicts, total };
+}
@@ -0,0 +1,167 @@
+// lib/collectionSync.js
+// Shopify collections -> per-store Medusa collections, and productType -> shared Medusa category tree
+
+import { PrismaClient } from '@prisma/client';
+import { storeSlug } from './catalogIdentity.js';
+
+const prisma = new PrismaClient();
+
+// productType "Apparel > Tops > Tees" is a three-level category path
+const CATEGORY_PATH_SEPARATOR = '>';
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Collections are namespaced per store: two stores can both have "sale"
+function storeCollectionHandle(shop, handle) {
+  return `${storeSlug(shop)}-${handle}`;
+}
+
+// Load a store's collection mappings, keyed by Shopify collection ID
+export async function loadCollectionMappings(shop) {
+  const mappings = await prisma.collection.findMany({ where: { storeName: shop } });
+  return new Map(mappings.map(mapping => [mapping.shopifyCollectionId, mapping]));
+}
+
+// Make sure a Shopify collection has a Medusa collection, creating or renaming
+// it as needed. `mappings` is the store's cache from loadCollectionMappings.
+export async function ensureMedusaCollection(medusaClient, shop, collection, mappings) {
+  const existing = mappings.get(collection.id);
+  if (existing && existing.title === collection.title) {
+    return existing;
+  }
+
+  let medusaCollectionId = existing?.medusaCollectionId;
+  const handle = existing?.handle || storeCollectionHandle(shop, collection.handle);
+
+  if (existing) {
+    await medusaClient.updateCollection(medusaCollectionId, { title: collection.title });
+  } else {
+    const medusaCollection = await medusaClient.getOrCreateCollection(collection.title, handle, {
+      shopify_store: shop,
+      shopify_collection_id: collection.id
+    });
+    medusaCollectionId = medusaCollection.id;
+  }
+
+  const mapping = await prisma.collection.upsert({
+    where: {
+      shopifyCollectionId_storeName: {
+        shopifyCollectionId: collection.id,
+        storeName: shop
+      }
+    },
+    update: { medusaCollectionId, title: collection.title },
+    create: {
+      shopifyCollectionId: collection.id,
+      medusaCollectionId,
+      storeName: shop,
+      handle,
+      title: collection.title
+    }
+  });
+
+  mappings.set(collection.id, mapping);
+  return mapping;
+}
+
+// Bring a store's Medusa collections in line with its full Shopify collection
+// list. Collections gone from Shopify are deleted from Medusa.
+// Returns { synced, removed }
+export async function syncStoreCollections(medusaClient, shop, collections, mappings) {
+  const seenIds = new Set();
+
+  for (const collection of collections) {
+    seenIds.add(collection.id);
+    await ensureMedusaCollection(medusaClient, shop, collection, mappings);
+  }
+
+  let removed = 0;
+  for (const [shopifyCollectionId, mapping] of mappings) {
+    if (seenIds.has(shopifyCollectionId)) continue;
+
+    try {
+      await medusaClient.deleteCollection(mapping.medusaCollectionId);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+    await prisma.collection.delete({ where: { id: mapping.id } });
+    mappings.delete(shopifyCollectionId);
+    removed++;
+  }
+
+  console.log(`🗂️ Synced ${seenIds.size} collections for ${shop} (${removed} removed)`);
+  return { synced: seenIds.size, removed };
+}
+
+// Add and remove a Medusa product's collection memberships so they match the
+// Shopify product's collections. Membership is tracked on the product mapping.
+export async function syncProductCollections(medusaClient, shop, shopifyProductId, medusaProductId, collections, mappings) {
+  const mapping = await prisma.product.findUnique({
+    where: {
+      shopifyProductId_storeName: {
+        shopifyProductId,
+        storeName: shop
+      }
+    }
+  });
+  if (!mapping) return false;
+
+  const current = new Set(mapping.collectionIds);
+  const desired = new Set(collections.map(collection => collection.id));
+
+  for (const collection of collections) {
+    if (current.has(collection.id)) continue;
+
+    const { medusaCollectionId } = await ensureMedusaCollection(medusaClient, shop, collection, mappings);
+    await medusaClient.addProductToCollection(medusaProductId, medusaCollectionId);
+  }
+
+  for (const shopifyCollectionId of current) {
+    if (desired.has(shopifyCollectionId)) continue;
+
+    // Deleted collections took their memberships with them
+    const collectionMapping = mappings.get(shopifyCollectionId);
+    if (collectionMapping) {
+      await medusaClient.removeProductFromCollection(medusaProductId, collectionMapping.medusaCollectionId);
+    }
+  }
+
+  const changed = desired.size !== current.size || [...desired].some(id => !current.has(id));
+  if (changed) {
+    await prisma.product.update({
+      where: { id: mapping.id },
+      data: { collectionIds: [...desired] }
+    });
+  }
+
+  return changed;
+}
+
+// Resolve a productType to a Medusa category, creating missing levels of its
+// path. Categories are shared across stores so the storefront can browse by
+// category across vendors. `cache` maps handles to category IDs for the run.
+// Returns the leaf category ID, or null for an empty productType.
+export async function resolveProductCategory(medusaClient, productType, cache) {
+  const names = (productType || '')
+    .split(CATEGORY_PATH_SEPARATOR)
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  let parentId = null;
+  const handles = [];
+
+  for (const name of names) {
+    handles.push(slugify(name));
+    const handle = handles.join('-');
+
+    if (!cache.has(handle)) {
+      const category = await medusaClient.getOrCreateCategory(name, handle, parentId);
+      cache.set(handle, category.id);
+    }
+    parentId = cache.get(handle);
+  }
+
+  return parentId;
+}
@@ -0,0 +1,28 @@
+// lib/currency.js
+// Currency amount helpers shared by product pricing and refunds
+
+// ISO 4217 currencies whose minor unit isn't 1/100
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'];
+
+// Decimal places of a currency's minor unit: 0 for JPY, 2 for USD, 3 for KWD
+export function minorUnitExponent(currencyCode) {
+  if (!currencyCode) {
+    throw new Error('A currency code is required to convert amounts');
+  }
+
+  const code = currencyCode.toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+}
+
+// Convert a decimal amount (number or Shopify decimal string) to integer minor units
+export function toMinorUnits(amount, currencyCode) {
+  return Math.round(Number(amount) * 10 ** minorUnitExponent(currencyCode));
+}
+
+// Convert integer minor units back to a decimal amount
+export function fromMinorUnits(amount, currencyCode) {
+  return amount / 10 ** minorUnitExponent(currencyCode);
+}
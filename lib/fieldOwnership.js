@@ -0,0 +1,242 @@
+// lib/fieldOwnership.js
+// Field-level ownership between Shopify and Medusa edits
+//
+// Each ownable product field is one of:
+//   "shopify"           Shopify's value is always pushed (the default)
+//   "medusa"            set on create, then left to edits made in Medusa
+//   "last-writer-wins"  whichever side changed last wins; when both changed
+//                       between two syncs, the Medusa edit is kept and a
+//                       FieldConflict is opened for review
+//
+// Changes are detected against Product.fieldHashes, which holds per field the
+// hash of the Shopify value and of the Medusa value as of the last sync, and
+// `held` when that Medusa value is an edit the sync kept. A held edit stands
+// until Shopify changes the field again, and while the field has an open
+// conflict.
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const OWNABLE_FIELDS = ['title', 'description', 'images', 'metadata'];
+export const OWNERSHIP_MODES = ['shopify', 'medusa', 'last-writer-wins'];
+
+// JSON with sorted keys, so Medusa's jsonb key order doesn't read as a change
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// A field's comparable value on a product payload or a Medusa product
+function ownedValue(field, product) {
+  switch (field) {
+    case 'description': return product.description || '';
+    case 'images': return (product.images || []).map(image => image.url);
+    case 'metadata': return product.metadata || {};
+    default: return product[field] ?? null;
+  }
+}
+
+const hashValue = value => crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+// Per-field hashes to store after a sync: `payload` is what Shopify wanted,
+// `medusaProduct` what Medusa holds afterwards and `held` the fields whose
+// Medusa value was kept over Shopify's
+export function buildFieldHashes(payload, medusaProduct, held = []) {
+  return Object.fromEntries(OWNABLE_FIELDS.map(field => [field, {
+    shopify: hashValue(ownedValue(field, payload)),
+    medusa: hashValue(ownedValue(field, medusaProduct)),
+    ...(held.includes(field) && { held: true })
+  }]));
+}
+
+// Fields whose Medusa value no longer matches its hash from the last sync
+export function changedMedusaFields(fieldHashes, medusaProduct) {
+  return OWNABLE_FIELDS.filter(field => fieldHashes?.[field]
+    && hashValue(ownedValue(field, medusaProduct)) !== fieldHashes[field].medusa);
+}
+
+// Decide, per field, whether a product update may overwrite Medusa.
+// `fieldHashes` is null for mappings synced before ownership was tracked; those
+// treat Medusa as unedited. `openConflicts` lists fields with an open
+// FieldConflict, which stay as they are in Medusa until it is resolved.
+// Returns { fields, withheld, conflicts } where fields is the payload without
+// the withheld fields.
+export function applyFieldOwnership(ownership, payload, medusaProduct, fieldHashes, openConflicts = []) {
+  const withheld = [];
+  const conflicts = [];
+
+  for (const field of OWNABLE_FIELDS) {
+    const mode = ownership[field] || 'shopify';
+    if (mode === 'shopify') continue;
+    if (mode === 'medusa') {
+      withheld.push(field);
+      continue;
+    }
+
+    const shopifyHash = hashValue(ownedValue(field, payload));
+    const medusaHash = hashValue(ownedValue(field, medusaProduct));
+    const base = fieldHashes?.[field];
+    const medusaChanged = Boolean(base) && medusaHash !== base.medusa;
+    const shopifyChanged = !base || shopifyHash !== base.shopify;
+    const conflict = { field, shopifyValue: payload[field] ?? null, medusaValue: ownedValue(field, medusaProduct) };
+
+    // Both sides hold the same value: nothing to decide
+    if (shopifyHash === medusaHash) continue;
+
+    if (openConflicts.includes(field)) {
+      // Waiting on review; refresh the conflict with whatever changed since
+      withheld.push(field);
+      if (medusaChanged || shopifyChanged) conflicts.push(conflict);
+    } else if (medusaChanged) {
+      // Edited in Medusa since the last sync: it wins unless Shopify changed too
+      withheld.push(field);
+      if (shopifyChanged) conflicts.push(conflict);
+    } else if (base?.held && !shopifyChanged) {
+      // An earlier Medusa edit is still the last write
+      withheld.push(field);
+    }
+  }
+
+  const fields = { ...payload };
+  withheld.forEach(field => delete fields[field]);
+
+  return { fields, withheld, conflicts };
+}
+
+// Check an ownership map's shape. Returns a list of error messages (empty when valid)
+export function validateFieldOwnership(ownership) {
+  if (!ownership || typeof ownership !== 'object' || Array.isArray(ownership)) {
+    return ['Field ownership must be an object of { field: mode }'];
+  }
+
+  return Object.entries(ownership).flatMap(([field, mode]) => [
+    ...(OWNABLE_FIELDS.includes(field) ? [] : [`Unknown field "${field}": use ${OWNABLE_FIELDS.join(', ')}`]),
+    ...(OWNERSHIP_MODES.includes(mode) ? [] : [`${field} must be one of ${OWNERSHIP_MODES.join(', ')}`])
+  ]);
+}
+
+// A store's ownership map, with every ownable field filled in
+export async function loadFieldOwnership(shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+  const saved = store?.fieldOwnership ? JSON.parse(store.fieldOwnership) : {};
+
+  return Object.fromEntries(OWNABLE_FIELDS.map(field => [field, saved[field] || 'shopify']));
+}
+
+// Merge ownership changes into a store's map (callers validate first)
+export async function saveFieldOwnership(shop, ownership) {
+  const merged = { ...await loadFieldOwnership(shop), ...ownership };
+  await prisma.store.update({
+    where: { shop },
+    data: { fieldOwnership: JSON.stringify(merged) }
+  });
+  return merged;
+}
+
+// Fields of a product with an open conflict
+export async function loadOpenConflictFields(shop, shopifyProductId) {
+  const open = await prisma.fieldConflict.findMany({
+    where: { storeName: shop, shopifyProductId, status: 'open' },
+    select: { field: true }
+  });
+  return open.map(conflict => conflict.field);
+}
+
+// Open or refresh conflicts found while syncing a product. A field has at most
+// one open conflict, carrying the latest values from both sides.
+export async function recordFieldConflicts(shop, shopifyProductId, medusaProductId, conflicts, runId = null) {
+  for (const conflict of conflicts) {
+    const data = {
+      medusaProductId,
+      shopifyValue: JSON.stringify(conflict.shopifyValue),
+      medusaValue: JSON.stringify(conflict.medusaValue),
+      lastRunId: runId
+    };
+
+    try {
+      const open = await prisma.fieldConflict.findFirst({
+        where: { storeName: shop, shopifyProductId, field: conflict.field, status: 'open' }
+      });
+
+      if (open) {
+        await prisma.fieldConflict.update({ where: { id: open.id }, data });
+      } else {
+        await prisma.fieldConflict.create({
+          data: { storeName: shop, shopifyProductId, field: conflict.field, ...data }
+        });
+        console.log(`⚔️ ${conflict.field} of ${shopifyProductId} changed in both Shopify and Medusa, kept the Medusa edit for review`);
+      }
+    } catch (error) {
+      // The Medusa edit is kept either way; only the review entry is lost
+      console.error(`⚠️ Failed to record ${conflict.field} conflict: ${error.message}`);
+    }
+  }
+}
+
+function parseConflict(conflict) {
+  return conflict && {
+    ...conflict,
+    shopifyValue: JSON.parse(conflict.shopifyValue),
+    medusaValue: JSON.parse(conflict.medusaValue)
+  };
+}
+
+// List field conflicts, newest first
+export async function listFieldConflicts({ shop, status, field, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(status && { status }),
+    ...(field && { field })
+  };
+
+  const [conflicts, total] = await Promise.all([
+    prisma.fieldConflict.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.fieldConflict.count({ where })
+  ]);
+
+  return { conflicts: conflicts.map(parseConflict), total };
+}
+
+// Settle an open conflict: "shopify" pushes the Shopify value to Medusa,
+// "medusa" keeps the Medusa edit until Shopify changes the field again. Either
+// way the field's hashes are reset, so the next sync only reacts to new edits. Returns the resolved conflict, or
+// null when it doesn't exist or isn't open.
+export async function resolveFieldConflict(medusaClient, id, use, resolvedBy = null) {
+  const conflict = parseConflict(await prisma.fieldConflict.findUnique({ where: { id } }));
+  if (!conflict || conflict.status !== 'open') return null;
+
+  const medusaProduct = use === 'shopify'
+    ? (await medusaClient.updateProduct(conflict.medusaProductId, { [conflict.field]: conflict.shopifyValue })).product
+    : (await medusaClient.getProduct(conflict.medusaProductId)).product;
+
+  const mapping = await prisma.product.findUnique({
+    where: { shopifyProductId_storeName: { shopifyProductId: conflict.shopifyProductId, storeName: conflict.storeName } }
+  });
+  const fieldHashes = mapping?.fieldHashes ? JSON.parse(mapping.fieldHashes) : {};
+  fieldHashes[conflict.field] = buildFieldHashes(
+    { [conflict.field]: conflict.shopifyValue }, medusaProduct, use === 'medusa' ? [conflict.field] : []
+  )[conflict.field];
+
+  await prisma.$transaction([
+    prisma.product.updateMany({
+      where: { shopifyProductId: conflict.shopifyProductId, storeName: conflict.storeName },
+      data: { fieldHashes: JSON.stringify(fieldHashes) }
+    }),
+    prisma.fieldConflict.update({
+      where: { id },
+      data: { status: 'resolved', resolution: use, resolvedBy, resolvedAt: new Date() }
+    })
+  ]);
+
+  return { ...conflict, status: 'resolved', resolution: use, resolvedBy };
+}
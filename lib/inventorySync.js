@@ -0,0 +1,203 @@
+// lib/inventorySync.js
+// Shopify inventory levels -> Medusa stock levels, one Medusa stock location per Shopify location
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Webhook payloads carry numeric IDs; everything we store is a GID
+export function toInventoryItemGid(id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/InventoryItem/${id}`;
+}
+
+export function toLocationGid(id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/Location/${id}`;
+}
+
+// Per-store inventory settings
+export async function loadInventorySettings(shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+  return { safetyStock: store?.safetyStock || 0 };
+}
+
+// Medusa stock location for a Shopify location, created on first sight.
+// Webhooks don't carry the location name, so those fall back to the ID.
+async function resolveStockLocation(medusaClient, shop, shopifyLocationId, name) {
+  const existing = await prisma.stockLocation.findUnique({
+    where: {
+      shopifyLocationId_storeName: { shopifyLocationId, storeName: shop }
+    }
+  });
+  if (existing) return existing.medusaLocationId;
+
+  const locationName = `${shop} - ${name || `Location ${shopifyLocationId.split('/').pop()}`}`;
+  console.log(`📍 Creating Medusa stock location: ${locationName}`);
+  const { stock_location } = await medusaClient.createStockLocation({
+    name: locationName,
+    metadata: { shopify_store: shop, shopify_location_id: shopifyLocationId }
+  });
+
+  await prisma.stockLocation.create({
+    data: {
+      shopifyLocationId,
+      medusaLocationId: stock_location.id,
+      storeName: shop,
+      name: locationName
+    }
+  });
+
+  return stock_location.id;
+}
+
+// Find the variant mapping an inventory item belongs to. Full passes also know
+// the Shopify variant, which backfills inventory item IDs on older mappings.
+async function findInventoryVariant(shop, inventoryItemId, shopifyVariantId) {
+  const variant = await prisma.variant.findFirst({
+    where: {
+      ...(shopifyVariantId ? { shopifyVariantId } : { inventoryItemId }),
+      product: { storeName: shop }
+    }
+  });
+
+  if (variant && variant.inventoryItemId !== inventoryItemId) {
+    return prisma.variant.update({
+      where: { id: variant.id },
+      data: { inventoryItemId }
+    });
+  }
+
+  return variant;
+}
+
+// Medusa inventory item for a mapped variant, cached on the mapping
+async function resolveMedusaInventoryItem(medusaClient, variant) {
+  if (variant.medusaInventoryItemId) return variant.medusaInventoryItemId;
+
+  const [inventoryItem] = await medusaClient.getVariantInventory(variant.medusaVariantId);
+  if (!inventoryItem) return null;
+
+  await prisma.variant.update({
+    where: { id: variant.id },
+    data: { medusaInventoryItemId: inventoryItem.id }
+  });
+
+  return inventoryItem.id;
+}
+
+// Claim a level's Shopify updated_at for an item and location. False when a
+// newer level was already applied, i.e. this one arrived late.
+async function claimLevelVersion(shop, level) {
+  const key = { storeName: shop, inventoryItemId: level.inventoryItemId, locationId: level.locationId };
+  const updatedAt = new Date(level.updatedAt);
+
+  await prisma.inventoryLevelState.upsert({
+    where: { storeName_inventoryItemId_locationId: key },
+    create: { ...key, lastUpdatedAt: updatedAt },
+    update: {}
+  });
+
+  // Equal timestamps go through, so retries and safety stock changes still apply
+  const { count } = await prisma.inventoryLevelState.updateMany({
+    where: { ...key, lastUpdatedAt: { lte: updatedAt } },
+    data: { lastUpdatedAt: updatedAt }
+  });
+  return count > 0;
+}
+
+// Push one Shopify inventory level to Medusa, less the store's safety stock.
+// level: { inventoryItemId, locationId, locationName, shopifyVariantId, available, updatedAt }
+// Levels older than the last one applied for the item and location are skipped.
+// Returns "updated" or "skipped"
+export async function applyInventoryLevel(medusaClient, shop, level, settings) {
+  // Untracked items have no available quantity
+  if (level.available == null) return 'skipped';
+
+  if (level.updatedAt && !(await claimLevelVersion(shop, level))) {
+    console.log(`⏭️ Inventory item ${level.inventoryItemId} at ${level.locationId}: newer level already applied, skipping ${level.updatedAt}`);
+    return 'skipped';
+  }
+
+  const variant = await findInventoryVariant(shop, level.inventoryItemId, level.shopifyVariantId);
+  if (!variant) {
+    console.warn(`⚠️ No variant mapping for inventory item ${level.inventoryItemId} in ${shop}, skipping`);
+    return 'skipped';
+  }
+
+  const medusaInventoryItemId = await resolveMedusaInventoryItem(medusaClient, variant);
+  if (!medusaInventoryItemId) {
+    console.warn(`⚠️ Medusa variant ${variant.medusaVariantId} has no inventory item, skipping`);
+    return 'skipped';
+  }
+
+  const medusaLocationId = await resolveStockLocation(medusaClient, shop, level.locationId, level.locationName);
+  const quantity = Math.max(level.available - settings.safetyStock, 0);
+
+  await medusaClient.setInventoryLevel(medusaInventoryItemId, medusaLocationId, quantity);
+  return 'updated';
+}
+
+// Apply an inventory_levels/update webhook payload
+// ({ inventory_item_id, location_id, available, updated_at })
+export async function syncInventoryLevel(medusaClient, shop, inventoryLevel) {
+  return applyInventoryLevel(medusaClient, shop, {
+    inventoryItemId: toInventoryItemGid(inventoryLevel.inventory_item_id),
+    locationId: toLocationGid(inventoryLevel.location_id),
+    available: inventoryLevel.available,
+    updatedAt: inventoryLevel.updated_at
+  }, await loadInventorySettings(shop));
+}
+
+// Apply every inventory level of a store, from an async iterable of level pages.
+// Failures are counted per level rather than aborting the pass.
+// Returns { updated, skipped, failed }
+export async function syncStoreInventory(medusaClient, shop, pages) {
+  const settings = await loadInventorySettings(shop);
+  const counts = { updated: 0, skipped: 0, failed: 0 };
+
+  for await (const levels of pages) {
+    for (const level of levels) {
+      try {
+        counts[await applyInventoryLevel(medusaClient, shop, level, settings)]++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`⚠️ Inventory update failed for ${level.inventoryItemId} at ${level.locationId}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`📦 Inventory pass for ${shop}: ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return counts;
+}
+
+// Per-store inventory settings and location mappings
+export async function getInventorySettings(shop) {
+  const [settings, locations] = await Promise.all([
+    loadInventorySettings(shop),
+    prisma.stockLocation.findMany({ where: { storeName: shop }, orderBy: { createdAt: 'asc' } })
+  ]);
+
+  return { ...settings, locations };
+}
+
+// Update safetyStock and/or point Shopify locations at existing Medusa stock
+// locations (locations: [{ shopifyLocationId, medusaLocationId, name }])
+export async function updateInventorySettings(shop, { safetyStock, locations = [] }) {
+  await prisma.$transaction(async (tx) => {
+    if (safetyStock !== undefined) {
+      await tx.store.update({ where: { shop }, data: { safetyStock } });
+    }
+
+    for (const { shopifyLocationId, medusaLocationId, name } of locations) {
+      const id = toLocationGid(shopifyLocationId);
+      await tx.stockLocation.upsert({
+        where: {
+          shopifyLocationId_storeName: { shopifyLocationId: id, storeName: shop }
+        },
+        update: { medusaLocationId, ...(name && { name }) },
+        create: { shopifyLocationId: id, medusaLocationId, storeName: shop, name: name || id }
+      });
+    }
+  });
+
+  return getInventorySettings(shop);
+}
@@ -0,0 +1,60 @@
+// lib/jobHandlers.js
+// Handlers for queued webhook-triggered work, keyed by job type
+
+import { syncShopifyStore, syncShopifyProduct } from '../routes/sync.js';
+import { removeProductFromMedusa } from './productRemoval.js';
+import { syncInventoryLevel } from './inventorySync.js';
+import { reconcileStore } from './reconciliation.js';
+import { hideStoreProducts } from './storeLifecycle.js';
+import { processPrivacyRequest } from './privacy.js';
+
+export function createJobHandlers(shopify, medusaClient) {
+  return {
+    // Product created or updated in Shopify: re-fetch and sync it
+    'product.sync': async ({ shop, productId }) => {
+      const action = await syncShopifyProduct(shop, shopify, medusaClient, productId);
+      console.log(`✅ Product ${productId} from ${shop}: ${action}`);
+    },
+
+    // Store resync: full after price rules change or a reinstall, incremental
+    // from the scheduler
+    'store.sync': async ({ shop, trigger, incremental = false }) => {
+      const result = await syncShopifyStore(shop, shopify, medusaClient, { trigger, incremental });
+      console.log(`✅ Store ${shop} resynced: ${result.synced}/${result.total} products`);
+    },
+
+    // Reconciliation audit, scheduled or requested through the API
+    'store.reconcile': async ({ shop, repair, trigger }) => {
+      const report = await reconcileStore(shop, shopify, medusaClient, { repair, trigger });
+      console.log(`🧮 Store ${shop} reconciled: report ${report.id}`);
+    },
+
+    // App uninstalled: take the store's products off the storefront
+    'store.uninstall': async ({ shop }) => {
+      const { hidden } = await hideStoreProducts(medusaClient, shop);
+      console.log(`🔌 Store ${shop} uninstalled: ${hidden} products hidden`);
+    },
+
+    // Privacy webhook: customer data export or erasure, or a store purge
+    'privacy.request': async ({ requestId }) => {
+      await processPrivacyRequest(requestId, medusaClient);
+    },
+
+    // Product deleted in Shopify
+    'product.remove': async ({ shop, productId }) => {
+      const action = await removeProductFromMedusa(medusaClient, shop, productId, 'deleted');
+      console.log(`🗑️ Product ${productId} from ${shop}: ${action}`);
+    },
+
+    // Stock changed at a Shopify location
+    'inventory.update': async ({ shop, inventoryLevel }) => {
+      const action = await syncInventoryLevel(medusaClient, shop, inventoryLevel);
+      console.log(`📦 Inventory item ${inventoryLevel.inventory_item_id} at location ${inventoryLevel.location_id} from ${shop}: ${action}`);
+    },
+
+    // Order placed in Shopify
+    'order.create': async ({ shop, orderId, orderName }) => {
+      console.log(`📑 New order from Shopify: ${orderName} (${orderId}) from ${shop}`);
+    }
+  };
+}
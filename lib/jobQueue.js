@@ -0,0 +1,267 @@
+// lib/jobQueue.js
+// Durable Postgres-backed job queue: enqueue, leased workers, retries with backoff
+
+import { PrismaClient, Prisma } from '@prisma/client';
+import crypto from 'crypto';
+import os from 'os';
+
+const prisma = new PrismaClient();
+
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '300000', 10);
+const STORE_CONCURRENCY = parseInt(process.env.JOB_STORE_CONCURRENCY || '2', 10);
+const WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY || '4', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+// A running job's lease is renewed this often, so long jobs (full syncs,
+// reconciliation) aren't picked up again by another worker
+const HEARTBEAT_MS = Math.max(Math.floor(LEASE_MS / 3), 1000);
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 10 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Advisory lock taken while leasing, so two workers can't both see a store
+// below its concurrency limit and lease past it
+const LEASE_LOCK_KEY = 727001;
+
+// Prisma stores DateTime as UTC timestamps without time zone
+const NOW_UTC = Prisma.sql`(now() AT TIME ZONE 'UTC')`;
+
+// Give up on a store's queued jobs, e.g. when the app is uninstalled. They are
+// marked DEAD with the reason, so they stay visible and can still be retried.
+// Returns how many were cancelled.
+export async function cancelStoreJobs(storeName, reason) {
+  const { count } = await prisma.job.updateMany({
+    where: { storeName, status: 'PENDING' },
+    data: { status: 'DEAD', lastError: reason }
+  });
+  return count;
+}
+
+// Add a job to the queue. Options: storeName, maxAttempts, runAt, and
+// dedupe: true to skip queueing while a job of the same type for the same
+// store is pending or running; dedupeSince (a Date) also counts jobs queued
+// after it, whatever their status. Returns the job, or null when deduplicated.
+export async function enqueueJob(type, payload, options = {}) {
+  const data = {
+    type,
+    storeName: options.storeName || null,
+    payload: JSON.stringify(payload),
+    maxAttempts: options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    runAt: options.runAt || new Date()
+  };
+
+  try {
+    const job = options.dedupe || options.dedupeSince
+      ? await createUniqueJob(data, options.dedupeSince)
+      : await prisma.job.create({ data });
+
+    if (!job) {
+      console.log(`⏭️ ${type} job for ${data.storeName} already queued, skipping`);
+      return null;
+    }
+
+    console.log(`📥 Queued ${type} job ${job.id}`);
+    return job;
+  } catch (error) {
+    console.error(`❌ Failed to queue ${type} job: ${error.message}`);
+    throw error;
+  }
+}
+
+// Create a job unless a matching one is queued. The check and insert run under
+// an advisory lock per type and store, so instances enqueueing at the same
+// moment don't both get through.
+async function createUniqueJob(data, since) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`${data.type}:${data.storeName}`}))`;
+
+    const existing = await tx.job.findFirst({
+      where: {
+        type: data.type,
+        storeName: data.storeName,
+        OR: [
+          { status: { in: ['PENDING', 'RUNNING'] } },
+          ...(since ? [{ createdAt: { gte: since } }] : [])
+        ]
+      }
+    });
+
+    return existing ? null : tx.job.create({ data });
+  });
+}
+
+// Lease up to `limit` due jobs for a worker. Pending jobs whose runAt has
+// passed and running jobs whose lease expired are eligible, skipping stores
+// already at their concurrency limit and rows locked by other workers.
+async function leaseJobs(workerId, limit) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${LEASE_LOCK_KEY})`;
+
+    const leased = [];
+    for (let i = 0; i < limit; i++) {
+      const rows = await tx.$queryRaw`
+        UPDATE "Job"
+        SET status = 'RUNNING',
+            "lockedBy" = ${workerId},
+            "lockedUntil" = ${NOW_UTC} + ${LEASE_MS}::float8 * interval '1 millisecond',
+            attempts = attempts + 1,
+            "updatedAt" = ${NOW_UTC}
+        WHERE id = (
+          SELECT j.id FROM "Job" j
+          WHERE (
+            (j.status = 'PENDING' AND j."runAt" <= ${NOW_UTC})
+            OR (j.status = 'RUNNING' AND j."lockedUntil" < ${NOW_UTC})
+          )
+          AND (
+            j."storeName" IS NULL
+            OR (
+              SELECT count(*) FROM "Job" r
+              WHERE r."storeName" = j."storeName"
+                AND r.status = 'RUNNING'
+                AND r."lockedUntil" >= ${NOW_UTC}
+            ) < ${STORE_CONCURRENCY}
+          )
+          ORDER BY j."runAt"
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`;
+
+      if (rows.length === 0) break;
+      leased.push(rows[0]);
+    }
+
+    return leased;
+  });
+}
+
+// Push a running job's lease forward. Returns false once the lease isn't ours
+async function renewLease(job, workerId) {
+  const count = await prisma.$executeRaw`
+    UPDATE "Job"
+    SET "lockedUntil" = ${NOW_UTC} + ${LEASE_MS}::float8 * interval '1 millisecond',
+        "updatedAt" = ${NOW_UTC}
+    WHERE id = ${job.id} AND "lockedBy" = ${workerId} AND status = 'RUNNING'`;
+  return count > 0;
+}
+
+// Mark a leased job as done, if the lease is still ours. Returns whether it was
+async function completeJob(job, workerId) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, lockedBy: workerId, status: 'RUNNING' },
+    data: {
+      status: 'COMPLETED',
+      completedAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null
+    }
+  });
+  return count > 0;
+}
+
+// Reschedule a failed job with exponential backoff, or dead-letter it once
+// it has used up its attempts. Does nothing if the lease isn't ours any more;
+// returns whether the failure was recorded.
+async function failJob(job, workerId, error) {
+  const dead = job.attempts >= job.maxAttempts;
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (job.attempts - 1), BACKOFF_MAX_MS);
+
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, lockedBy: workerId, status: 'RUNNING' },
+    data: {
+      status: dead ? 'DEAD' : 'PENDING',
+      runAt: dead ? undefined : new Date(Date.now() + delay),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: error.message
+    }
+  });
+
+  if (dead && count > 0) {
+    console.error(`💀 Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts`);
+  }
+  return count > 0;
+}
+
+// Put a dead-lettered job back in the queue with a fresh set of attempts
+export async function retryDeadJob(jobId) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: 'DEAD' },
+    data: { status: 'PENDING', attempts: 0, runAt: new Date(), lastError: null }
+  });
+
+  return count > 0;
+}
+
+// Start polling for jobs. `handlers` maps job type to an async function that
+// receives the parsed payload and the job row. Returns a function that stops
+// the worker (jobs in flight finish; their leases cover a crash).
+export function startJobWorker(handlers, options = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  const concurrency = options.concurrency || WORKER_CONCURRENCY;
+  let active = 0;
+  let stopped = false;
+  let timer = null;
+
+  async function runJob(job) {
+    const heartbeat = setInterval(() => {
+      renewLease(job, workerId).then(held => {
+        if (!held) console.warn(`⚠️ Lost the lease on job ${job.id} (${job.type}), another worker may run it`);
+      }, error => {
+        console.error(`❌ Failed to renew lease on job ${job.id}: ${error.message}`);
+      });
+    }, HEARTBEAT_MS);
+
+    try {
+      // A job whose lease keeps expiring (e.g. it crashes the process) still runs out of attempts
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Lease expired on every attempt');
+      }
+
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      await handler(JSON.parse(job.payload), job);
+      if (!(await completeJob(job, workerId))) {
+        console.warn(`⚠️ Job ${job.id} (${job.type}) finished after losing its lease, not marked completed`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}: ${error.message}`);
+      await failJob(job, workerId, error).catch(err => {
+        console.error(`❌ Failed to record job failure: ${err.message}`);
+      });
+    } finally {
+      clearInterval(heartbeat);
+      active--;
+    }
+  }
+
+  async function poll() {
+    if (stopped) return;
+
+    try {
+      const capacity = concurrency - active;
+      if (capacity > 0) {
+        const jobs = await leaseJobs(workerId, capacity);
+        for (const job of jobs) {
+          active++;
+          runJob(job);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Job worker poll failed: ${error.message}`);
+    } finally {
+      if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  }
+
+  poll();
+  console.log(`👷 Job worker ${workerId} started (concurrency ${concurrency}, ${STORE_CONCURRENCY} per store)`);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
@@ -0,0 +1,265 @@
+// lib/mappingRules.js
+// Per-store declarative field mapping rules, applied by transformToMedusaFormat
+//
+// A rule set is JSON:
+// {
+//   "include": [condition],         // keep the product only if every condition matches
+//   "exclude": [condition],         // drop the product if any condition matches
+//   "variantExclude": [condition],  // drop variants matching any condition
+//   "fields": { "<path>": mapping },        // e.g. "title", "metadata.category"
+//   "variantFields": { "<path>": mapping }  // e.g. "weight"
+// }
+//
+// condition: { "field": "tags", "op": "contains", "value": "wholesale" }
+//   ops: eq, neq, in, notIn, contains, notContains, empty, notEmpty, matches, gt, lt
+//
+// mapping, one of:
+//   "{{vendor}} - {{title}}"       template; pipes: upper, lower, trim, stripHtml, slug
+//   { "from": "productType", "map": { "Tees": "T-Shirts" }, "default": "Other" }
+//   { "template": "{{description}}", "replace": [{ "pattern": "Free shipping!?", "with": "", "flags": "gi" }] }
+//   { "from": "weight", "convert": "grams" }   reads the unit from weightUnit
+//
+// Product rules see the Shopify product; variant rules see the Shopify variant
+// plus the parent product under "product".
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const CONDITION_OPS = ['eq', 'neq', 'in', 'notIn', 'contains', 'notContains', 'empty', 'notEmpty', 'matches', 'gt', 'lt'];
+const PIPES = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  trim: value => value.trim(),
+  stripHtml: value => value.replace(/<[^>]*>/g, ''),
+  slug: value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+};
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237
+};
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)((?:\s*\|\s*\w+)*)\s*\}\}/g;
+
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function renderTemplate(template, source) {
+  return template.replace(TEMPLATE_PATTERN, (match, path, pipes) => {
+    let value = getPath(source, path);
+    value = value == null ? '' : String(value);
+
+    for (const pipe of pipes.split('|').map(p => p.trim()).filter(Boolean)) {
+      value = PIPES[pipe](value);
+    }
+    return value;
+  });
+}
+
+function convertToGrams(value, unit) {
+  if (value == null || value === '') return value;
+  const factor = GRAMS_PER_UNIT[unit || 'GRAMS'];
+  if (!factor) throw new Error(`Unknown weight unit: ${unit}`);
+  return Math.round(Number(value) * factor * 100) / 100;
+}
+
+function evaluateMapping(mapping, source) {
+  if (typeof mapping === 'string') {
+    return renderTemplate(mapping, source);
+  }
+
+  let value = mapping.template !== undefined
+    ? renderTemplate(mapping.template, source)
+    : getPath(source, mapping.from);
+
+  if (mapping.map) {
+    value = Object.prototype.hasOwnProperty.call(mapping.map, value) ? mapping.map[value] : mapping.default;
+  } else if (isEmpty(value) && mapping.default !== undefined) {
+    value = mapping.default;
+  }
+
+  for (const { pattern, with: replacement = '', flags = 'g' } of mapping.replace || []) {
+    value = String(value ?? '').replace(new RegExp(pattern, flags), replacement);
+  }
+
+  if (mapping.convert === 'grams') {
+    value = convertToGrams(value, source.weightUnit);
+  }
+
+  return value;
+}
+
+function matchesCondition({ field, op, value }, source) {
+  const actual = getPath(source, field);
+
+  switch (op) {
+    case 'eq': return actual === value;
+    case 'neq': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'notIn': return !value.includes(actual);
+    case 'contains': return Array.isArray(actual) ? actual.includes(value) : String(actual ?? '').includes(value);
+    case 'notContains': return !(Array.isArray(actual) ? actual.includes(value) : String(actual ?? '').includes(value));
+    case 'empty': return isEmpty(actual);
+    case 'notEmpty': return !isEmpty(actual);
+    case 'matches': return new RegExp(value).test(String(actual ?? ''));
+    case 'gt': return Number(actual) > Number(value);
+    case 'lt': return Number(actual) < Number(value);
+    default: throw new Error(`Unknown condition op: ${op}`);
+  }
+}
+
+function isExcluded(source, include = [], exclude = []) {
+  return !include.every(condition => matchesCondition(condition, source))
+    || exclude.some(condition => matchesCondition(condition, source));
+}
+
+function validateConditions(conditions, where, errors) {
+  if (conditions === undefined) return;
+  if (!Array.isArray(conditions)) {
+    errors.push(`${where} must be an array of conditions`);
+    return;
+  }
+
+  conditions.forEach((condition, index) => {
+    if (!condition || typeof condition.field !== 'string') {
+      errors.push(`${where}[${index}].field must be a string`);
+    }
+    if (!CONDITION_OPS.includes(condition?.op)) {
+      errors.push(`${where}[${index}].op must be one of ${CONDITION_OPS.join(', ')}`);
+    }
+    if (['in', 'notIn'].includes(condition?.op) && !Array.isArray(condition.value)) {
+      errors.push(`${where}[${index}].value must be an array for ${condition.op}`);
+    }
+    if (condition?.op === 'matches') {
+      try {
+        new RegExp(condition.value);
+      } catch (error) {
+        errors.push(`${where}[${index}].value is not a valid pattern: ${error.message}`);
+      }
+    }
+  });
+}
+
+function validateTemplate(template, where, errors) {
+  for (const [, , pipes] of template.matchAll(TEMPLATE_PATTERN)) {
+    for (const pipe of pipes.split('|').map(p => p.trim()).filter(Boolean)) {
+      if (!PIPES[pipe]) errors.push(`${where} uses unknown pipe "${pipe}"`);
+    }
+  }
+}
+
+function validateMappings(mappings, where, errors) {
+  if (mappings === undefined) return;
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    errors.push(`${where} must be an object of path -> mapping`);
+    return;
+  }
+
+  for (const [path, mapping] of Object.entries(mappings)) {
+    const at = `${where}.${path}`;
+
+    if (typeof mapping === 'string') {
+      validateTemplate(mapping, at, errors);
+      continue;
+    }
+    if (!mapping || typeof mapping !== 'object') {
+      errors.push(`${at} must be a template string or a mapping object`);
+      continue;
+    }
+    if (typeof mapping.from !== 'string' && typeof mapping.template !== 'string') {
+      errors.push(`${at} needs "from" or "template"`);
+    }
+    if (typeof mapping.template === 'string') {
+      validateTemplate(mapping.template, at, errors);
+    }
+    if (mapping.convert !== undefined && mapping.convert !== 'grams') {
+      errors.push(`${at}.convert must be "grams"`);
+    }
+    for (const [index, rule] of (mapping.replace || []).entries()) {
+      try {
+        new RegExp(rule.pattern, rule.flags ?? 'g');
+      } catch (error) {
+        errors.push(`${at}.replace[${index}] is not a valid pattern: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Check a rule set's shape. Returns a list of error messages (empty when valid)
+export function validateMappingRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Rule set must be a JSON object'];
+  }
+
+  validateConditions(rules.include, 'include', errors);
+  validateConditions(rules.exclude, 'exclude', errors);
+  validateConditions(rules.variantExclude, 'variantExclude', errors);
+  validateMappings(rules.fields, 'fields', errors);
+  validateMappings(rules.variantFields, 'variantFields', errors);
+
+  return errors;
+}
+
+// Apply a rule set to a transformed product. `shopifyProduct` is the source
+// the product was transformed from; its variant edges line up with
+// transformed.variants. Returns null when the filters exclude the product.
+export function applyMappingRules(rules, shopifyProduct, transformed) {
+  if (isExcluded(shopifyProduct, rules.include, rules.exclude)) {
+    return null;
+  }
+
+  const result = { ...transformed, metadata: { ...transformed.metadata } };
+  for (const [path, mapping] of Object.entries(rules.fields || {})) {
+    setPath(result, path, evaluateMapping(mapping, shopifyProduct));
+  }
+
+  const variantNodes = shopifyProduct.variants.edges.map(edge => edge.node);
+  result.variants = transformed.variants
+    .map((variant, index) => ({ variant, source: { ...variantNodes[index], product: shopifyProduct } }))
+    .filter(({ source }) => !isExcluded(source, [], rules.variantExclude))
+    .map(({ variant, source }) => {
+      const mapped = { ...variant };
+      for (const [path, mapping] of Object.entries(rules.variantFields || {})) {
+        setPath(mapped, path, evaluateMapping(mapping, source));
+        if (path === 'weight' && mapping.convert === 'grams') {
+          mapped.weightUnit = 'GRAMS';
+        }
+      }
+      return mapped;
+    });
+
+  return result;
+}
+
+// Load a store's rule set, or null if it has none
+export async function loadMappingRules(shop) {
+  const record = await prisma.fieldMappingRules.findUnique({ where: { storeName: shop } });
+  return record ? JSON.parse(record.rules) : null;
+}
+
+// Save a store's rule set (callers validate first)
+export async function saveMappingRules(shop, rules) {
+  return prisma.fieldMappingRules.upsert({
+    where: { storeName: shop },
+    update: { rules: JSON.stringify(rules) },
+    create: { storeName: shop, rules: JSON.stringify(rules) }
+  });
+}
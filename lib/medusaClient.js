@@ -2,6 +2,9 @@
 // Wrapper for Medusa SaaS Admin API
 
 import axios from 'axios';
+import { toMinorUnits } from './currency.js';
+
+const PRODUCTS_PAGE_SIZE = 100;
 
 class MedusaClient {
   constructor(baseUrl, apiToken) {
@@ -38,6 +41,32 @@ class MedusaClient {
     }
   }
 
+  // Every product carrying a tag, e.g. "store:acme.myshopify.com"
+  async listProductsByTag(value) {
+    try {
+      const tags = await this.client.get('/product-tags', { params: { value: [value] } });
+      const tag = (tags.data.product_tags || []).find(productTag => productTag.value === value);
+      if (!tag) {
+        return [];
+      }
+      
+      const products = [];
+      for (let offset = 0; ; offset += PRODUCTS_PAGE_SIZE) {
+        const response = await this.client.get('/products', {
+          params: { tags: [tag.id], limit: PRODUCTS_PAGE_SIZE, offset }
+        });
+        products.push(...response.data.products);
+        
+        if (response.data.products.length === 0 || products.length >= response.data.count) {
+          return products;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to list products from Medusa:', error.message);
+      throw error;
+    }
+  }
+
   async getProduct(productId) {
     try {
       const response = await this.client.get(`/products/${productId}`);
@@ -48,6 +77,61 @@ class MedusaClient {
     }
   }
 
+  async deleteProduct(productId) {
+    try {
+      const response = await this.client.delete(`/products/${productId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete product in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // Like getProduct, but resolves to null when the product no longer exists
+  async findProduct(productId) {
+    try {
+      const response = await this.client.get(`/products/${productId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch product from Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // Variants
+  async createVariant(productId, variantData) {
+    try {
+      const response = await this.client.post(`/products/${productId}/variants`, variantData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create variant in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async updateVariant(productId, variantId, variantData) {
+    try {
+      const response = await this.client.post(`/products/${productId}/variants/${variantId}`, variantData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update variant in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteVariant(productId, variantId) {
+    try {
+      const response = await this.client.delete(`/products/${productId}/variants/${variantId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete variant in Medusa:', error.message);
+      throw error;
+    }
+  }
+
   // Collections
   async createCollection(collectionData) {
     try {
@@ -59,22 +143,45 @@ class MedusaClient {
     }
   }
 
-  async getOrCreateCollection(title, handle) {
+  async updateCollection(collectionId, collectionData) {
+    try {
+      const response = await this.client.post(`/collections/${collectionId}`, { collection: collectionData });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update collection in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteCollection(collectionId) {
+    try {
+      const response = await this.client.delete(`/collections/${collectionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete collection in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async getOrCreateCollection(title, handle, metadata) {
     try {
       // Try to find existing collection
       const response = await this.client.get('/collections', {
         params: { q: handle }
       });
       
-      if (response.data.collections && response.data.collections.length > 0) {
-        return response.data.collections[0];
+      const existing = (response.data.collections || []).find(collection => collection.handle === handle);
+      if (existing) {
+        return existing;
       }
       
       // Create new collection if not found
-      return await this.createCollection({
+      const created = await this.createCollection({
         title,
-        handle
+        handle,
+        metadata
       });
+      return created.collection;
     } catch (error) {
       console.error('Failed to get or create collection:', error.message);
       throw error;
@@ -94,6 +201,135 @@ class MedusaClient {
     }
   }
 
+  async removeProductFromCollection(productId, collectionId) {
+    try {
+      const response = await this.client.delete(
+        `/collections/${collectionId}/products`,
+        { data: { product_id: productId } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Failed to remove product from collection:', error.message);
+      throw error;
+    }
+  }
+
+  // Categories
+  async getOrCreateCategory(name, handle, parentCategoryId = null) {
+    try {
+      const response = await this.client.get('/product-categories', {
+        params: { handle }
+      });
+      
+      const existing = (response.data.product_categories || []).find(category => category.handle === handle);
+      if (existing) {
+        return existing;
+      }
+      
+      const created = await this.client.post('/product-categories', {
+        name,
+        handle,
+        parent_category_id: parentCategoryId,
+        is_active: true
+      });
+      return created.data.product_category;
+    } catch (error) {
+      console.error('Failed to get or create category:', error.message);
+      throw error;
+    }
+  }
+
+  // Inventory
+  async createStockLocation(locationData) {
+    try {
+      const response = await this.client.post('/stock-locations', locationData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create stock location in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // Inventory items linked to a variant, with their location levels
+  async getVariantInventory(variantId) {
+    try {
+      const response = await this.client.get(`/variants/${variantId}/inventory`);
+      return response.data.variant.inventory || [];
+    } catch (error) {
+      console.error('Failed to fetch variant inventory from Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // Set the stocked quantity of an inventory item at a location, creating the level if needed
+  async setInventoryLevel(inventoryItemId, locationId, stockedQuantity) {
+    try {
+      const response = await this.client.post(
+        `/inventory-items/${inventoryItemId}/location-levels/${locationId}`,
+        { stocked_quantity: stockedQuantity }
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to update inventory level in Medusa:', error.message);
+        throw error;
+      }
+    }
+
+    try {
+      const response = await this.client.post(
+        `/inventory-items/${inventoryItemId}/location-levels`,
+        { location_id: locationId, stocked_quantity: stockedQuantity }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create inventory level in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // Price lists
+  async createPriceList(priceListData) {
+    try {
+      const response = await this.client.post('/price-lists', priceListData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create price list in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  // prices: [{ variant_id, currency_code, amount }] with amounts in minor units
+  async addPriceListPrices(priceListId, prices) {
+    try {
+      const response = await this.client.post(`/price-lists/${priceListId}/prices/batch`, { prices });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to add price list prices in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async deletePriceListProductPrices(priceListId, productId) {
+    try {
+      const response = await this.client.delete(`/price-lists/${priceListId}/products/${productId}/prices`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete price list prices in Medusa:', error.message);
+      throw error;
+    }
+  }
+
+  async deletePriceList(priceListId) {
+    try {
+      const response = await this.client.delete(`/price-lists/${priceListId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete price list in Medusa:', error.message);
+      throw error;
+    }
+  }
+
   // Orders
   async getOrder(orderId) {
     try {
@@ -115,11 +351,16 @@ class MedusaClient {
     }
   }
 
-  // Refunds
-  async createRefund(orderId, amount, reason) {
+  // Refunds. `amount` is in major units; the currency defaults to the order's
+  async createRefund(orderId, amount, reason, currencyCode = null) {
     try {
+      const currency = currencyCode || (await this.getOrder(orderId)).order?.currency_code;
+      if (!currency) {
+        throw new Error(`No currency for refund on order ${orderId}`);
+      }
+
       const response = await this.client.post(`/orders/${orderId}/refunds`, {
-        amount: Math.round(amount * 100), // Convert to cents
+        amount: toMinorUnits(amount, currency), // Convert to the currency's minor units
         reason
       });
       return response.data;
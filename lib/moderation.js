@@ -0,0 +1,226 @@
+// lib/moderation.js
+// Optional per-store approval workflow for products headed to the marketplace
+//
+// With moderation on, new products and updates that touch flagged fields are
+// held as pending ProductRevisions holding the transformed product. Medusa keeps
+// the last approved version until an admin approves the pending one. Updates
+// that touch nothing flagged go straight through and become the approved
+// version themselves.
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Product fields a store can choose to flag for review
+export const MODERATED_FIELDS = ['title', 'description', 'handle', 'vendor', 'productType', 'images', 'metadata'];
+
+function hashSnapshot(transformed) {
+  return crypto.createHash('sha256').update(JSON.stringify(transformed)).digest('hex');
+}
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Changes between the approved version and an incoming one that need review:
+// flagged fields that changed, and variant prices that moved by more than
+// priceChangePercent (new variants count, since their price was never approved).
+// Returns [{ field, from, to, shopifyVariantId? }]
+export function flagChanges(settings, approved, incoming) {
+  const changes = settings.fields
+    .filter(field => !isSame(approved[field], incoming[field]))
+    .map(field => ({ field, from: approved[field] ?? null, to: incoming[field] ?? null }));
+
+  if (settings.priceChangePercent == null) return changes;
+
+  const approvedVariants = new Map(approved.variants.map(variant => [variant.shopifyVariantId, variant]));
+  for (const variant of incoming.variants) {
+    const before = approvedVariants.get(variant.shopifyVariantId);
+    const from = before ? before.price : null;
+    const moved = from === null
+      || (from === 0 ? variant.price !== 0 : Math.abs(variant.price - from) / from * 100 > settings.priceChangePercent);
+
+    if (moved) {
+      changes.push({ field: 'price', shopifyVariantId: variant.shopifyVariantId, from, to: variant.price });
+    }
+  }
+
+  return changes;
+}
+
+// A store's moderation settings
+export async function loadModerationSettings(shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+
+  return {
+    enabled: store?.moderationEnabled || false,
+    fields: store?.moderationFields || ['title'],
+    priceChangePercent: store ? store.moderationPriceChangePercent : null
+  };
+}
+
+// Update a store's moderation settings; omitted keys are left alone
+export async function updateModerationSettings(shop, { enabled, fields, priceChangePercent }) {
+  await prisma.store.update({
+    where: { shop },
+    data: {
+      ...(enabled !== undefined && { moderationEnabled: enabled }),
+      ...(fields !== undefined && { moderationFields: [...new Set(fields)] }),
+      ...(priceChangePercent !== undefined && { moderationPriceChangePercent: priceChangePercent })
+    }
+  });
+
+  return loadModerationSettings(shop);
+}
+
+// Check a settings update's shape. Returns a list of error messages (empty when valid)
+export function validateModerationSettings({ enabled, fields, priceChangePercent } = {}) {
+  const errors = [];
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => !MODERATED_FIELDS.includes(field)))) {
+    errors.push(`fields must be an array of ${MODERATED_FIELDS.join(', ')}`);
+  }
+  if (priceChangePercent !== undefined && priceChangePercent !== null
+    && !(typeof priceChangePercent === 'number' && Number.isFinite(priceChangePercent) && priceChangePercent >= 0)) {
+    errors.push('priceChangePercent must be a non-negative number, or null to stop flagging price changes');
+  }
+
+  return errors;
+}
+
+async function findLatestRevision(shop, shopifyProductId, status) {
+  return prisma.productRevision.findFirst({
+    where: { storeName: shop, shopifyProductId, status },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// What moderation would do with an incoming transformed product, without
+// writing anything. Returns { decision, reason, changes } where decision is
+// "publish", "hold" (a new pending revision) or "waiting" (this exact version
+// is already pending or was rejected).
+export async function assessRevision(shop, shopifyProductId, transformed, settings) {
+  const contentHash = hashSnapshot(transformed);
+  const approved = await findLatestRevision(shop, shopifyProductId, 'approved');
+
+  if (approved?.contentHash === contentHash) {
+    return { decision: 'publish', reason: 'approved', changes: [], contentHash };
+  }
+
+  const decided = await prisma.productRevision.findFirst({
+    where: { storeName: shop, shopifyProductId, contentHash, status: { in: ['pending', 'rejected'] } }
+  });
+  if (decided) {
+    return { decision: 'waiting', reason: decided.status, changes: JSON.parse(decided.changes), contentHash };
+  }
+
+  if (!approved) {
+    // Products already live when moderation was switched on have no approved
+    // version to compare against, so their next change is reviewed in full
+    const mapping = await prisma.product.findUnique({
+      where: { shopifyProductId_storeName: { shopifyProductId, storeName: shop } }
+    });
+    return { decision: 'hold', reason: mapping ? 'unreviewed' : 'new', changes: [], contentHash };
+  }
+
+  const changes = flagChanges(settings, JSON.parse(approved.snapshot), transformed);
+  return changes.length > 0
+    ? { decision: 'hold', reason: 'flagged', changes, contentHash }
+    : { decision: 'publish', reason: 'unflagged', changes, contentHash };
+}
+
+// Retire a product's pending revisions, e.g. when a newer version replaces them
+export async function discardPendingRevisions(shop, shopifyProductId, tx = prisma) {
+  await tx.productRevision.updateMany({
+    where: { storeName: shop, shopifyProductId, status: 'pending' },
+    data: { status: 'superseded' }
+  });
+}
+
+// Run an incoming transformed product through moderation. Unflagged changes are
+// recorded as approved automatically; flagged ones replace any pending revision.
+// Returns true when the product is held and must not be pushed to Medusa.
+export async function moderateProduct(shop, shopifyProductId, transformed, settings, runId = null) {
+  const { decision, reason, changes, contentHash } = await assessRevision(shop, shopifyProductId, transformed, settings);
+
+  if (decision === 'waiting') return true;
+  if (decision === 'publish' && reason === 'approved') {
+    // The merchant reverted to the live version: nothing left to review
+    await discardPendingRevisions(shop, shopifyProductId);
+    return false;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await discardPendingRevisions(shop, shopifyProductId, tx);
+    await tx.productRevision.create({
+      data: {
+        storeName: shop,
+        shopifyProductId,
+        title: transformed.title,
+        status: decision === 'hold' ? 'pending' : 'approved',
+        reason,
+        changes: JSON.stringify(changes),
+        snapshot: JSON.stringify(transformed),
+        contentHash,
+        runId,
+        ...(decision === 'publish' && { reviewedBy: 'auto', reviewedAt: new Date() })
+      }
+    });
+  });
+
+  if (decision === 'hold') {
+    console.log(`🛂 Held ${transformed.title} from ${shop} for review (${reason})`);
+  }
+  return decision === 'hold';
+}
+
+function parseRevision(revision) {
+  return revision && {
+    ...revision,
+    changes: JSON.parse(revision.changes),
+    snapshot: JSON.parse(revision.snapshot)
+  };
+}
+
+// A revision with its snapshot, or null
+export async function getProductRevision(id) {
+  return parseRevision(await prisma.productRevision.findUnique({ where: { id } }));
+}
+
+// List revisions, newest first, without their snapshots
+export async function listProductRevisions({ shop, status, shopifyProductId, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(status && { status }),
+    ...(shopifyProductId && { shopifyProductId })
+  };
+
+  const [revisions, total] = await Promise.all([
+    prisma.productRevision.findMany({
+      where,
+      omit: { snapshot: true },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.productRevision.count({ where })
+  ]);
+
+  return {
+    revisions: revisions.map(revision => ({ ...revision, changes: JSON.parse(revision.changes) })),
+    total
+  };
+}
+
+// Approve or reject a pending revision. Returns the updated revision, or null
+// when it is no longer pending.
+export async function reviewProductRevision(id, status, { reviewedBy = null, note = null } = {}) {
+  const { count } = await prisma.productRevision.updateMany({
+    where: { id, status: 'pending' },
+    data: { status, reviewedBy, reviewNote: note, reviewedAt: new Date() }
+  });
+
+  return count > 0 ? getProductRevision(id) : null;
+}
@@ -0,0 +1,15 @@
+// lib/pagination.js
+// ?limit= / ?offset= parsing shared by the list endpoints
+
+// { limit, offset } from a query string. Missing or malformed values (not a
+// positive limit, or a negative offset) fall back to the defaults; limit is
+// capped at `max`.
+export function parsePagination(query, { limit = 50, max = 100 } = {}) {
+  const requestedLimit = parseInt(query.limit, 10);
+  const requestedOffset = parseInt(query.offset, 10);
+
+  return {
+    limit: Math.min(requestedLimit > 0 ? requestedLimit : limit, max),
+    offset: requestedOffset >= 0 ? requestedOffset : 0
+  };
+}
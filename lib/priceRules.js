@@ -0,0 +1,231 @@
+// lib/priceRules.js
+// Per-store marketplace pricing rules, applied by transformToMedusaFormat
+//
+// A rule set is JSON:
+// {
+//   "markups": [markup],
+//   "commissionPercent": 12,                       // gross up so the merchant nets their price
+//   "minMargin": { "percent": 15, "amount": 1 },   // floor on storefront price - merchant price
+//   "rounding": { "strategy": "ending", "ending": 0.99 }
+// }
+//
+// markup: { "scope": "store" | "vendor" | "productType" | "tag", "value": "Acme", "percent": 10, "fixed": 2 }
+//   One markup applies per product: the most specific scope wins (tag, then
+//   productType, then vendor, then store), and the first listed within a scope.
+//
+// rounding strategies:
+//   { "strategy": "ending", "ending": 0.99 }     up to the next price ending in .99
+//   { "strategy": "nearest", "increment": 0.5 }  to the nearest multiple of 0.50
+//   { "strategy": "up", "increment": 1 }         up to the next multiple of 1
+//
+// Market prices get the same percentages and rounding; fixed amounts are in the
+// store currency, so they only apply to store-currency prices. Prices are
+// computed in the currency's minor units, so a zero-decimal currency (JPY)
+// has no sub-unit endings: "ending" rounding leaves its prices as they are.
+
+import { PrismaClient } from '@prisma/client';
+import { toMinorUnits, fromMinorUnits, minorUnitExponent } from './currency.js';
+
+const prisma = new PrismaClient();
+
+const SCOPE_PRECEDENCE = ['tag', 'productType', 'vendor', 'store'];
+const ROUNDING_STRATEGIES = ['ending', 'nearest', 'up'];
+
+// Prices without a known currency are treated as two-decimal
+const DEFAULT_CURRENCY = 'USD';
+
+function markupMatches(markup, product) {
+  switch (markup.scope) {
+    case 'store': return true;
+    case 'vendor': return product.vendor === markup.value;
+    case 'productType': return product.productType === markup.value;
+    case 'tag': return (product.tags || []).includes(markup.value);
+    default: return false;
+  }
+}
+
+// The markup that applies to a product, or null
+export function selectMarkup(rules, product) {
+  for (const scope of SCOPE_PRECEDENCE) {
+    const markup = (rules.markups || []).find(m => m.scope === scope && markupMatches(m, product));
+    if (markup) return markup;
+  }
+  return null;
+}
+
+// Round an amount in minor units
+function roundMinorUnits(amount, rounding, currencyCode) {
+  if (!rounding) return amount;
+
+  if (rounding.strategy === 'ending') {
+    const unit = 10 ** minorUnitExponent(currencyCode);
+    if (unit === 1) return amount;
+
+    const ending = toMinorUnits(rounding.ending, currencyCode);
+    const rounded = Math.floor(amount / unit) * unit + ending;
+    return rounded >= amount ? rounded : rounded + unit;
+  }
+
+  // An increment finer than the minor unit rounds to the minor unit
+  const increment = Math.max(toMinorUnits(rounding.increment, currencyCode), 1);
+  return rounding.strategy === 'nearest'
+    ? Math.round(amount / increment) * increment
+    : Math.ceil(amount / increment) * increment;
+}
+
+// Storefront price for a merchant price in `currencyCode`. `inStoreCurrency`
+// is false for market prices, which skip the fixed amounts.
+export function computePrice(rules, price, markup, currencyCode, inStoreCurrency = true) {
+  if (price == null) return price;
+
+  const currency = currencyCode || DEFAULT_CURRENCY;
+  const base = toMinorUnits(price, currency);
+  let amount = base;
+
+  if (markup) {
+    amount = amount * (1 + (markup.percent || 0) / 100) + (inStoreCurrency ? toMinorUnits(markup.fixed || 0, currency) : 0);
+  }
+
+  if (rules.commissionPercent) {
+    amount = amount / (1 - rules.commissionPercent / 100);
+  }
+
+  const minMargin = rules.minMargin || {};
+  const floor = Math.ceil(base + Math.max(
+    base * (minMargin.percent || 0) / 100,
+    inStoreCurrency ? toMinorUnits(minMargin.amount || 0, currency) : 0
+  ));
+  amount = Math.max(Math.round(amount), floor);
+
+  let rounded = roundMinorUnits(amount, rules.rounding, currency);
+  // Rounding to nearest can land under the margin floor; step back up
+  if (rounded < floor) {
+    rounded = roundMinorUnits(floor, { ...rules.rounding, strategy: 'up' }, currency);
+  }
+
+  return fromMinorUnits(rounded, currency);
+}
+
+// Apply a rule set to a transformed product's variant prices. `shopifyProduct`
+// supplies the tags; vendor and productType come from the transformed product,
+// so mapping rules that rename them are honoured.
+export function applyPriceRules(rules, shopifyProduct, transformed) {
+  const markup = selectMarkup(rules, {
+    vendor: transformed.vendor,
+    productType: transformed.productType,
+    tags: shopifyProduct.tags
+  });
+
+  return {
+    ...transformed,
+    variants: transformed.variants.map(variant => ({
+      ...variant,
+      price: computePrice(rules, variant.price, markup, variant.currencyCode),
+      compareAtPrice: computePrice(rules, variant.compareAtPrice, markup, variant.currencyCode),
+      marketPrices: (variant.marketPrices || []).map(marketPrice => ({
+        ...marketPrice,
+        price: computePrice(rules, marketPrice.price, markup, marketPrice.currencyCode, false),
+        compareAtPrice: computePrice(rules, marketPrice.compareAtPrice, markup, marketPrice.currencyCode, false)
+      }))
+    }))
+  };
+}
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Check a rule set's shape. Returns a list of error messages (empty when valid)
+export function validatePriceRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Rule set must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (rules.markups !== undefined && !Array.isArray(rules.markups)) {
+    errors.push('markups must be an array');
+  }
+  (Array.isArray(rules.markups) ? rules.markups : []).forEach((markup, index) => {
+    if (!SCOPE_PRECEDENCE.includes(markup?.scope)) {
+      errors.push(`markups[${index}].scope must be one of ${SCOPE_PRECEDENCE.join(', ')}`);
+    }
+    if (markup?.scope && markup.scope !== 'store' && typeof markup.value !== 'string') {
+      errors.push(`markups[${index}].value must be a string`);
+    }
+    if (markup?.percent !== undefined && (typeof markup.percent !== 'number' || markup.percent <= -100)) {
+      errors.push(`markups[${index}].percent must be a number above -100`);
+    }
+    if (markup?.fixed !== undefined && typeof markup.fixed !== 'number') {
+      errors.push(`markups[${index}].fixed must be a number`);
+    }
+  });
+
+  if (rules.commissionPercent !== undefined
+    && !(isNonNegativeNumber(rules.commissionPercent) && rules.commissionPercent < 100)) {
+    errors.push('commissionPercent must be between 0 and 100');
+  }
+
+  if (rules.minMargin !== undefined) {
+    const { percent = 0, amount = 0 } = rules.minMargin || {};
+    if (!isNonNegativeNumber(percent) || !isNonNegativeNumber(amount)) {
+      errors.push('minMargin.percent and minMargin.amount must be non-negative numbers');
+    }
+  }
+
+  if (rules.rounding !== undefined) {
+    const { strategy, ending, increment } = rules.rounding || {};
+    if (!ROUNDING_STRATEGIES.includes(strategy)) {
+      errors.push(`rounding.strategy must be one of ${ROUNDING_STRATEGIES.join(', ')}`);
+    } else if (strategy === 'ending' && !(isNonNegativeNumber(ending) && ending < 1)) {
+      errors.push('rounding.ending must be between 0 and 1, e.g. 0.99');
+    } else if (strategy !== 'ending' && !(isNonNegativeNumber(increment) && increment > 0)) {
+      errors.push('rounding.increment must be a positive number, e.g. 0.5');
+    }
+  }
+
+  return errors;
+}
+
+// A store's active rule set, or null if it has none
+export async function loadPriceRules(shop) {
+  const record = await prisma.priceRules.findUnique({ where: { storeName: shop } });
+  return record?.activeRules ? JSON.parse(record.activeRules) : null;
+}
+
+// A store's active and draft rule sets
+export async function getPriceRules(shop) {
+  const record = await prisma.priceRules.findUnique({ where: { storeName: shop } });
+
+  return {
+    active: record?.activeRules ? JSON.parse(record.activeRules) : null,
+    draft: record?.draftRules ? JSON.parse(record.draftRules) : null,
+    activatedAt: record?.activatedAt || null
+  };
+}
+
+// Save a draft rule set (callers validate first). Drafts don't affect syncs
+// until activated.
+export async function saveDraftPriceRules(shop, rules) {
+  return prisma.priceRules.upsert({
+    where: { storeName: shop },
+    update: { draftRules: JSON.stringify(rules) },
+    create: { storeName: shop, draftRules: JSON.stringify(rules) }
+  });
+}
+
+// Promote the draft rule set to active. Returns the new active rules, or null
+// when there is no draft.
+export async function activatePriceRules(shop) {
+  const record = await prisma.priceRules.findUnique({ where: { storeName: shop } });
+  if (!record?.draftRules) return null;
+
+  await prisma.priceRules.update({
+    where: { storeName: shop },
+    data: {
+      activeRules: record.draftRules,
+      draftRules: null,
+      activatedAt: new Date()
+    }
+  });
+
+  return JSON.parse(record.draftRules);
+}
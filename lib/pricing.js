@@ -0,0 +1,126 @@
+// lib/pricing.js
+// Shopify prices -> Medusa integer minor-unit prices, and per-market Medusa price lists
+
+import { PrismaClient } from '@prisma/client';
+import { toMinorUnits } from './currency.js';
+
+const prisma = new PrismaClient();
+
+// Price list key for sales in the store's own currency
+const DEFAULT_PRICE_LIST = 'default';
+
+// A variant's prices in the store currency and each market, as
+// [{ key, currencyCode, price, compareAtPrice }] in major units. `key` is the
+// price list the entry belongs to: "default" or a Shopify market ID.
+function variantPricePoints(variant) {
+  return [
+    {
+      key: DEFAULT_PRICE_LIST,
+      currencyCode: variant.currencyCode,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice
+    },
+    ...(variant.marketPrices || []).map(marketPrice => ({ key: marketPrice.marketId, ...marketPrice }))
+  ];
+}
+
+// A Shopify compare-at price above the price means the price is a sale price:
+// the compare-at price becomes Medusa's base price and the price goes on a sale list
+function isOnSale({ price, compareAtPrice }) {
+  return compareAtPrice != null && compareAtPrice > price;
+}
+
+// Medusa `prices` for a transformed variant: the regular (pre-sale) price in
+// the store currency and in each market currency. Markets sharing a currency
+// share a price, so the first market of each currency wins.
+export function buildVariantPrices(variant) {
+  const prices = [];
+  const seen = new Set();
+
+  for (const point of variantPricePoints(variant)) {
+    const currencyCode = point.currencyCode?.toLowerCase();
+    if (!currencyCode || seen.has(currencyCode) || point.price == null) continue;
+
+    seen.add(currencyCode);
+    prices.push({
+      currency_code: currencyCode,
+      amount: toMinorUnits(isOnSale(point) ? point.compareAtPrice : point.price, currencyCode)
+    });
+  }
+
+  return prices;
+}
+
+// Sale prices for a product's variants, grouped by price list key:
+// Map<key, [{ shopifyVariantId, currency_code, amount }]>. Every market gets an
+// entry, even with no sales, so its list is cleared when a sale ends.
+export function buildSalePrices(variants, markets = []) {
+  const lists = new Map([[DEFAULT_PRICE_LIST, []], ...markets.map(market => [market.id, []])]);
+
+  for (const variant of variants) {
+    for (const point of variantPricePoints(variant)) {
+      if (!isOnSale(point) || !lists.has(point.key)) continue;
+
+      lists.get(point.key).push({
+        shopifyVariantId: variant.shopifyVariantId,
+        currency_code: point.currencyCode.toLowerCase(),
+        amount: toMinorUnits(point.price, point.currencyCode)
+      });
+    }
+  }
+
+  return lists;
+}
+
+// Create the Medusa price list for a store's market, or for its own currency
+async function createStorePriceList(medusaClient, shop, key, pricing) {
+  const market = pricing.markets.find(m => m.id === key);
+  const name = market ? `${shop} - ${market.name}` : `${shop} - Sale`;
+  const currencyCode = market ? market.currencyCode : pricing.currencyCode;
+
+  console.log(`🏷️ Creating Medusa price list: ${name}`);
+  const { price_list } = await medusaClient.createPriceList({
+    name,
+    description: `Shopify ${market ? `market ${market.name}` : 'sale'} prices for ${shop}`,
+    type: 'sale',
+    status: 'active',
+    prices: []
+  });
+
+  await prisma.priceList.create({
+    data: {
+      storeName: shop,
+      marketId: key,
+      medusaPriceListId: price_list.id,
+      name,
+      currencyCode
+    }
+  });
+
+  return price_list.id;
+}
+
+// Replace a product's prices on each of the store's price lists.
+// `variantMappings` pairs Shopify variants with their Medusa variants.
+export async function syncProductPriceLists(medusaClient, shop, medusaProductId, variants, variantMappings, pricing) {
+  const medusaVariantIds = new Map(variantMappings.map(m => [m.shopifyVariantId, m.medusaVariantId]));
+
+  for (const [key, salePrices] of buildSalePrices(variants, pricing.markets)) {
+    const prices = salePrices
+      .filter(salePrice => medusaVariantIds.has(salePrice.shopifyVariantId))
+      .map(({ shopifyVariantId, ...price }) => ({ ...price, variant_id: medusaVariantIds.get(shopifyVariantId) }));
+
+    const existing = await prisma.priceList.findUnique({
+      where: { storeName_marketId: { storeName: shop, marketId: key } }
+    });
+
+    // Nothing on sale and no list yet: no need to create one
+    if (prices.length === 0 && !existing) continue;
+
+    const priceListId = existing?.medusaPriceListId || await createStorePriceList(medusaClient, shop, key, pricing);
+    await medusaClient.deletePriceListProductPrices(priceListId, medusaProductId);
+    if (prices.length > 0) {
+      await medusaClient.addPriceListPrices(priceListId, prices);
+    }
+  }
+}
@@ -0,0 +1,338 @@
+// lib/privacy.js
+// Shopify's mandatory privacy webhooks: customer data export and erasure, and
+// purging a store's data after uninstall
+//
+// A customer's data is found, per store, in Order, Return and Review rows
+// (by email, phone, customer ID or order), in the store's WebhookLog payloads
+// and in its Notification log. Erasure keeps financial records: orders and returns are
+// anonymized, everything else about the customer is deleted.
+//
+// Each webhook is recorded as a PrivacyRequest and processed by a job, so
+// Shopify gets its 200 at once and failures are retried.
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const PRIVACY_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
+const REDACTED = 'redacted';
+
+// Identifiers from a Shopify privacy payload's customer
+function customerIdentity(request) {
+  const customerGid = request.shopifyCustomerId ? `gid://shopify/Customer/${request.shopifyCustomerId}` : null;
+
+  return {
+    email: request.customerEmail,
+    phone: request.customerPhone,
+    customerGid,
+    customerIds: customerGid ? [request.shopifyCustomerId, customerGid] : [],
+    contacts: [request.customerEmail, request.customerPhone].filter(Boolean)
+  };
+}
+
+// Every record of one customer in one store, per table. The lists are empty
+// when the payload identifies no one.
+async function findCustomerRecords(store, identity) {
+  const { email, phone, customerGid, customerIds, contacts } = identity;
+  const byEmail = email ? [{ customerEmail: { equals: email, mode: 'insensitive' } }] : [];
+  const byPhone = phone ? [{ customerPhone: phone }] : [];
+  const byCustomerId = customerIds.length > 0 ? [{ customerId: { in: customerIds } }] : [];
+
+  const orderMatch = [...byEmail, ...byPhone, ...byCustomerId];
+  const orders = orderMatch.length > 0
+    ? await prisma.order.findMany({ where: { merchantShop: store.shop, OR: orderMatch } })
+    : [];
+  const byOrder = orders.length > 0 ? [{ orderId: { in: orders.map(order => order.id) } }] : [];
+
+  const returnMatch = [...byEmail, ...byPhone, ...byOrder];
+  const reviewMatch = [...byEmail, ...byCustomerId, ...byOrder];
+  // Payloads are searched for the GID only: the bare numeric ID matches too much
+  const logMatch = [...contacts, customerGid].filter(Boolean).map(value => ({ payload: { contains: value } }));
+
+  const [returns, reviews, webhookLogs, notifications] = await Promise.all([
+    returnMatch.length > 0
+      ? prisma.return.findMany({ where: { storeId: store.id, OR: returnMatch } })
+      : [],
+    reviewMatch.length > 0
+      ? prisma.review.findMany({ where: { storeName: store.shop, OR: reviewMatch } })
+      : [],
+    logMatch.length > 0
+      ? prisma.webhookLog.findMany({ where: { storeName: store.shop, OR: logMatch } })
+      : [],
+    contacts.length > 0
+      ? prisma.notification.findMany({ where: { storeName: store.shop, recipient: { in: contacts } } })
+      : []
+  ]);
+
+  // Delivery jobs carry the customer's address in their raw Stuart data
+  const stuartJobIds = [
+    ...orders.map(order => order.stuartJobId),
+    ...returns.map(ret => ret.stuartPickupJobId)
+  ].filter(Boolean);
+  const deliveries = stuartJobIds.length > 0
+    ? await prisma.stuartJob.findMany({ where: { id: { in: stuartJobIds } } })
+    : [];
+
+  return { orders, returns, reviews, deliveries, webhookLogs, notifications };
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function countRecords(records) {
+  return Object.fromEntries(Object.entries(records).map(([table, rows]) => [table, rows.length]));
+}
+
+// customers/data_request: everything held about the customer, as one JSON document
+async function exportCustomerData(store, request) {
+  const records = await findCustomerRecords(store, customerIdentity(request));
+
+  const exported = {
+    shop: store.shop,
+    customer: {
+      shopifyCustomerId: request.shopifyCustomerId,
+      email: request.customerEmail,
+      phone: request.customerPhone
+    },
+    generatedAt: new Date().toISOString(),
+    orders: records.orders,
+    returns: records.returns,
+    reviews: records.reviews,
+    deliveries: records.deliveries.map(job => ({ ...job, rawData: parseJson(job.rawData) })),
+    notifications: records.notifications,
+    webhookEvents: records.webhookLogs.map(log => ({ ...log, payload: parseJson(log.payload) }))
+  };
+
+  return { summary: { found: countRecords(records) }, export: JSON.stringify(exported) };
+}
+
+// customers/redact: anonymize orders, returns and deliveries (kept for
+// accounting), delete reviews, notifications and webhook logs
+async function redactCustomer(store, request) {
+  const records = await findCustomerRecords(store, customerIdentity(request));
+  const ids = rows => rows.map(row => row.id);
+
+  const [orders, returns, deliveries, reviews, notifications, webhookLogs] = await prisma.$transaction([
+    prisma.order.updateMany({
+      where: { id: { in: ids(records.orders) } },
+      data: { customerId: REDACTED, customerEmail: null, customerPhone: null }
+    }),
+    prisma.return.updateMany({
+      where: { id: { in: ids(records.returns) } },
+      data: { customerEmail: REDACTED, customerPhone: null, notes: null, photoUrl: null }
+    }),
+    prisma.stuartJob.updateMany({
+      where: { id: { in: ids(records.deliveries) } },
+      data: { rawData: JSON.stringify({ redacted: true }) }
+    }),
+    prisma.review.deleteMany({ where: { id: { in: ids(records.reviews) } } }),
+    prisma.notification.deleteMany({ where: { id: { in: ids(records.notifications) } } }),
+    prisma.webhookLog.deleteMany({ where: { id: { in: ids(records.webhookLogs) } } })
+  ]);
+
+  return {
+    summary: {
+      anonymized: { orders: orders.count, returns: returns.count, deliveries: deliveries.count },
+      deleted: { reviews: reviews.count, notifications: notifications.count, webhookLogs: webhookLogs.count }
+    }
+  };
+}
+
+// Delete a store's products, collections and price lists from Medusa. Throws
+// when some fail, so the job retries before the mappings are purged.
+async function purgeMedusaData(medusaClient, shop) {
+  const [products, collections, priceLists] = await Promise.all([
+    prisma.product.findMany({ where: { storeName: shop, status: { not: 'deleted' } } }),
+    prisma.collection.findMany({ where: { storeName: shop } }),
+    prisma.priceList.findMany({ where: { storeName: shop } })
+  ]);
+
+  const deleted = { products: 0, collections: 0, priceLists: 0 };
+  const failures = [];
+  const remove = async (kind, id, del) => {
+    try {
+      await del();
+      deleted[kind]++;
+    } catch (error) {
+      if (error.response?.status === 404) return;
+      failures.push(`${kind} ${id}: ${error.message}`);
+    }
+  };
+
+  for (const product of products) {
+    await remove('products', product.medusaProductId, () => medusaClient.deleteProduct(product.medusaProductId));
+  }
+  for (const collection of collections) {
+    await remove('collections', collection.medusaCollectionId, () => medusaClient.deleteCollection(collection.medusaCollectionId));
+  }
+  for (const priceList of priceLists) {
+    await remove('priceLists', priceList.medusaPriceListId, () => medusaClient.deletePriceList(priceList.medusaPriceListId));
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Failed to delete from Medusa: ${failures.join('; ')}`);
+  }
+  return deleted;
+}
+
+// shop/redact: delete everything held for the store, here and in Medusa,
+// including earlier privacy requests and their exports; only `request`, the
+// record of this purge, is kept. Shopify sends it 48 hours after uninstall; a
+// store reinstalled since is left alone.
+async function purgeStore(store, request, medusaClient) {
+  if (store.isActive) {
+    return { status: 'skipped', summary: { reason: 'Store was reinstalled' } };
+  }
+
+  const shop = store.shop;
+  const medusa = await purgeMedusaData(medusaClient, shop);
+
+  const [orders, returns] = await Promise.all([
+    prisma.order.findMany({ where: { merchantShop: shop } }),
+    prisma.return.findMany({ where: { storeId: store.id } })
+  ]);
+  const stuartJobIds = [
+    ...orders.map(order => order.stuartJobId),
+    ...returns.map(ret => ret.stuartPickupJobId)
+  ].filter(Boolean);
+
+  const byStore = { where: { storeName: shop } };
+  const results = await prisma.$transaction([
+    prisma.session.deleteMany({ where: { shop } }),
+    // The job running this purge is left to complete
+    prisma.job.deleteMany({ where: { storeName: shop, status: { not: 'RUNNING' } } }),
+    prisma.syncStatus.deleteMany(byStore),
+    prisma.syncRun.deleteMany(byStore),
+    prisma.fieldMappingRules.deleteMany(byStore),
+    prisma.priceRules.deleteMany(byStore),
+    prisma.syncConflict.deleteMany(byStore),
+    prisma.productRevision.deleteMany(byStore),
+    prisma.fieldConflict.deleteMany(byStore),
+    prisma.reconciliationReport.deleteMany(byStore),
+    prisma.notification.deleteMany(byStore),
+    prisma.webhookLog.deleteMany(byStore),
+    prisma.privacyRequest.deleteMany({ where: { storeName: shop, id: { not: request.id } } }),
+    // Products, variants, collections, locations, price lists, orders,
+    // returns and reviews go with the store
+    prisma.store.delete({ where: { shop } }),
+    prisma.stuartJob.deleteMany({ where: { id: { in: stuartJobIds } } })
+  ]);
+
+  const tables = ['sessions', 'jobs', 'syncStatuses', 'syncRuns', 'fieldMappingRules', 'priceRules',
+    'syncConflicts', 'productRevisions', 'fieldConflicts', 'reconciliationReports', 'notifications', 'webhookLogs',
+    'privacyRequests'];
+
+  return {
+    summary: {
+      medusa,
+      deleted: {
+        ...Object.fromEntries(tables.map((table, index) => [table, results[index].count])),
+        orders: orders.length,
+        returns: returns.length,
+        deliveries: results[results.length - 1].count,
+        store: 1
+      }
+    }
+  };
+}
+
+// Record a privacy webhook. `payload` is Shopify's webhook body
+export async function createPrivacyRequest(shop, topic, payload) {
+  return prisma.privacyRequest.create({
+    data: {
+      storeName: shop,
+      topic,
+      shopifyRequestId: payload.data_request?.id?.toString() || null,
+      shopifyCustomerId: payload.customer?.id?.toString() || null,
+      customerEmail: payload.customer?.email || null,
+      customerPhone: payload.customer?.phone || null
+    }
+  });
+}
+
+// Carry out a recorded request. Completed requests are not run again
+export async function processPrivacyRequest(id, medusaClient) {
+  const request = await prisma.privacyRequest.findUnique({ where: { id } });
+  if (!request || request.status === 'completed' || request.status === 'skipped') return request;
+
+  try {
+    const store = await prisma.store.findUnique({ where: { shop: request.storeName } });
+    let result;
+
+    if (!store) {
+      // Nothing held for an unknown (or already purged) store
+      result = { status: 'skipped', summary: { reason: 'Store not found' } };
+    } else if (request.topic === 'customers/data_request') {
+      result = await exportCustomerData(store, request);
+    } else if (request.topic === 'customers/redact') {
+      result = await redactCustomer(store, request);
+    } else {
+      result = await purgeStore(store, request, medusaClient);
+    }
+
+    const erased = request.topic !== 'customers/data_request';
+    const updated = await prisma.privacyRequest.update({
+      where: { id },
+      data: {
+        status: result.status || 'completed',
+        summary: JSON.stringify(result.summary),
+        export: result.export || null,
+        errorMessage: null,
+        completedAt: new Date(),
+        // The request itself mustn't keep what it erased
+        ...(erased && { customerEmail: null, customerPhone: null })
+      }
+    });
+
+    console.log(`🔏 ${request.topic} for ${request.storeName}: ${updated.status}`);
+    return updated;
+  } catch (error) {
+    await prisma.privacyRequest.update({
+      where: { id },
+      data: { status: 'failed', errorMessage: error.message }
+    });
+    console.error(`❌ ${request.topic} for ${request.storeName} failed: ${error.message}`);
+    throw error;
+  }
+}
+
+// A request with its parsed summary (and export, for data requests), or null
+export async function getPrivacyRequest(id) {
+  const request = await prisma.privacyRequest.findUnique({ where: { id } });
+  return request && {
+    ...request,
+    summary: request.summary ? JSON.parse(request.summary) : null,
+    export: request.export ? JSON.parse(request.export) : null
+  };
+}
+
+// List requests, newest first, without exports
+export async function listPrivacyRequests({ shop, topic, status, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(topic && { topic }),
+    ...(status && { status })
+  };
+
+  const [requests, total] = await Promise.all([
+    prisma.privacyRequest.findMany({
+      where,
+      omit: { export: true },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.privacyRequest.count({ where })
+  ]);
+
+  return {
+    requests: requests.map(request => ({ ...request, summary: request.summary ? JSON.parse(request.summary) : null })),
+    total
+  };
+}
@@ -0,0 +1,74 @@
+// lib/productMetadata.js
+// Shopify SEO, tags, product type, options and allowlisted metafields -> Medusa product metadata
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// "namespace.key", or "namespace.*" for every key in a namespace
+const ALLOWLIST_ENTRY_PATTERN = /^[\w-]+\.([\w-]+|\*)$/;
+
+// Metafield values arrive as strings; decode the structured types
+function parseMetafieldValue({ type, value }) {
+  if (type === 'json' || type?.startsWith('list.') || ['dimension', 'volume', 'weight', 'rating', 'money'].includes(type)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  if (type === 'number_integer' || type === 'number_decimal') return Number(value);
+  if (type === 'boolean') return value === 'true';
+  return value;
+}
+
+function isAllowedMetafield(allowlist, namespace, key) {
+  return allowlist.includes(`${namespace}.${key}`) || allowlist.includes(`${namespace}.*`);
+}
+
+// Metadata for a Shopify product. Only metafields on the store's allowlist are
+// carried over, keyed "namespace.key".
+export function buildProductMetadata(shopifyProduct, allowlist = []) {
+  const metafields = {};
+
+  for (const { node } of shopifyProduct.metafields?.edges || []) {
+    if (isAllowedMetafield(allowlist, node.namespace, node.key)) {
+      metafields[`${node.namespace}.${node.key}`] = parseMetafieldValue(node);
+    }
+  }
+
+  return {
+    seo_title: shopifyProduct.seo?.title || null,
+    seo_description: shopifyProduct.seo?.description || null,
+    product_type: shopifyProduct.productType || null,
+    shopify_tags: shopifyProduct.tags || [],
+    options: (shopifyProduct.options || []).map(option => ({ name: option.name, values: option.values })),
+    metafields
+  };
+}
+
+// Check an allowlist's shape. Returns a list of error messages (empty when valid)
+export function validateMetafieldAllowlist(allowlist) {
+  if (!Array.isArray(allowlist)) {
+    return ['allowlist must be an array of "namespace.key" or "namespace.*" entries'];
+  }
+
+  return allowlist
+    .filter(entry => typeof entry !== 'string' || !ALLOWLIST_ENTRY_PATTERN.test(entry))
+    .map(entry => `Invalid allowlist entry ${JSON.stringify(entry)}: use "namespace.key" or "namespace.*"`);
+}
+
+// A store's metafield allowlist (empty: no metafields are synced)
+export async function loadMetafieldAllowlist(shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+  return store?.metafieldAllowlist || [];
+}
+
+// Replace a store's metafield allowlist (callers validate first)
+export async function saveMetafieldAllowlist(shop, allowlist) {
+  const store = await prisma.store.update({
+    where: { shop },
+    data: { metafieldAllowlist: [...new Set(allowlist)] }
+  });
+  return store.metafieldAllowlist;
+}
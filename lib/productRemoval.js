@@ -0,0 +1,100 @@
+// lib/productRemoval.js
+// Propagate Shopify product deletions and unpublishes to Medusa
+
+import { PrismaClient } from '@prisma/client';
+import { discardPendingRevisions } from './moderation.js';
+
+const prisma = new PrismaClient();
+
+// Shopify webhooks carry numeric IDs, our mappings store GraphQL GIDs
+export function toProductGid(id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/Product/${id}`;
+}
+
+// Archive or delete the Medusa product mapped to a Shopify product, per the
+// store's removedProductAction setting. Mapping rows are kept and marked, since
+// reviews and returns hang off them; a later sync restores archived products.
+// Returns "archived", "deleted" or "unchanged".
+export async function removeProductFromMedusa(medusaClient, shop, shopifyProductId, reason) {
+  const shopifyId = toProductGid(shopifyProductId);
+  
+  // A version waiting for review must not be published after the product is gone
+  await discardPendingRevisions(shop, shopifyId);
+  
+  const mapping = await prisma.product.findUnique({
+    where: {
+      shopifyProductId_storeName: {
+        shopifyProductId: shopifyId,
+        storeName: shop
+      }
+    }
+  });
+
+  if (!mapping || mapping.status === 'deleted') {
+    return 'unchanged';
+  }
+
+  const store = await prisma.store.findUnique({ where: { shop } });
+  const action = store?.removedProductAction === 'delete' ? 'deleted' : 'archived';
+
+  if (mapping.status === action) {
+    return 'unchanged';
+  }
+
+  console.log(`🗄️ Product ${shopifyId} ${reason} in Shopify, marking Medusa product ${mapping.medusaProductId} ${action}`);
+
+  const existing = await medusaClient.findProduct(mapping.medusaProductId);
+  if (existing) {
+    if (action === 'deleted') {
+      await medusaClient.deleteProduct(mapping.medusaProductId);
+    } else {
+      await medusaClient.updateProduct(mapping.medusaProductId, { status: 'draft' });
+    }
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.product.update({
+      where: { id: mapping.id },
+      data: { status: action }
+    });
+
+    // Deleted Medusa products take their variants with them
+    if (action === 'deleted') {
+      await tx.variant.deleteMany({
+        where: {
+          shopifyProductId: shopifyId,
+          returns: { none: {} }
+        }
+      });
+    }
+  });
+
+  return action;
+}
+
+// Remove products that have an active mapping but were not seen in a full
+// Shopify fetch, i.e. deleted since the last run. Returns the outcome of each
+// removal attempted: [{ shopifyProductId, action: "removed" | "failed", error }]
+export async function removeVanishedProducts(medusaClient, shop, seenShopifyIds) {
+  const mappings = await prisma.product.findMany({
+    where: { storeName: shop, status: 'active' },
+    select: { shopifyProductId: true }
+  });
+
+  const results = [];
+  for (const { shopifyProductId } of mappings) {
+    if (seenShopifyIds.has(shopifyProductId)) continue;
+
+    try {
+      const action = await removeProductFromMedusa(medusaClient, shop, shopifyProductId, 'deleted');
+      if (action !== 'unchanged') {
+        results.push({ shopifyProductId, action: 'removed' });
+      }
+    } catch (error) {
+      console.error(`⚠️ Failed to remove vanished product ${shopifyProductId}: ${error.message}`);
+      results.push({ shopifyProductId, action: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
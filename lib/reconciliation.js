@@ -0,0 +1,304 @@
+// lib/reconciliation.js
+// Per-store reconciliation audit between Shopify, the mapping tables and Medusa
+//
+// Finds the drift missed webhooks and partial failures leave behind:
+//   shopifyOrphans      active in Shopify but not live in Medusa, and not
+//                       deliberately left out by the last sync of the product
+//   mappingOrphans      mapped as active, but deleted or unpublished in Shopify
+//   medusaMissing       mapped as active, but the Medusa product is gone
+//   medusaOrphans       tagged for the store in Medusa, but no mapping points at it
+//   stale               changed in Shopify after the product was last synced
+//   checksumMismatches  Medusa's Shopify-owned fields or variants no longer
+//                       match what the last sync wrote
+// With repair on, products are resynced or removed, and orphaned Medusa
+// products are unpublished (never deleted).
+
+import { PrismaClient } from '@prisma/client';
+import { fetchShopifyProductIndex, syncShopifyProduct } from '../routes/sync.js';
+import { removeProductFromMedusa } from './productRemoval.js';
+import { changedMedusaFields, loadFieldOwnership } from './fieldOwnership.js';
+
+const prisma = new PrismaClient();
+
+export const DRIFT_CATEGORIES = [
+  'shopifyOrphans',
+  'mappingOrphans',
+  'medusaMissing',
+  'medusaOrphans',
+  'stale',
+  'checksumMismatches'
+];
+
+// Findings kept per category in a stored report; counts are always complete
+const FINDINGS_LIMIT = 500;
+
+// Webhooks normally land within this long of a Shopify edit
+const STALE_GRACE_MS = 10 * 60 * 1000;
+
+// Latest sync outcome per product, for products the audit can't explain from
+// the mapping alone
+async function loadLatestSyncItems(shop, shopifyProductIds) {
+  if (shopifyProductIds.length === 0) return new Map();
+
+  const items = await prisma.syncRunItem.findMany({
+    where: { shopifyProductId: { in: shopifyProductIds }, run: { storeName: shop } },
+    orderBy: { createdAt: 'desc' },
+    distinct: ['shopifyProductId']
+  });
+
+  return new Map(items.map(item => [item.shopifyProductId, item]));
+}
+
+// Compare the three sides and list what has drifted, per category
+async function findDrift(shop, medusaClient, shopifyProducts, mappings, medusaProducts) {
+  const drift = Object.fromEntries(DRIFT_CATEGORIES.map(category => [category, []]));
+  const shopifyById = new Map(shopifyProducts.map(product => [product.id, product]));
+  const mappingById = new Map(mappings.map(mapping => [mapping.shopifyProductId, mapping]));
+  const medusaById = new Map(medusaProducts.map(product => [product.id, product]));
+  const ownership = await loadFieldOwnership(shop);
+
+  const pending = await prisma.productRevision.findMany({
+    where: { storeName: shop, status: 'pending' },
+    select: { shopifyProductId: true }
+  });
+  const awaitingReview = new Set(pending.map(revision => revision.shopifyProductId));
+
+  // Shopify side: active products that should be in Medusa
+  const unmapped = shopifyProducts.filter(product =>
+    product.status === 'ACTIVE' && mappingById.get(product.id)?.status !== 'active');
+  const latestItems = await loadLatestSyncItems(shop, unmapped.map(product => product.id));
+
+  for (const product of unmapped) {
+    if (awaitingReview.has(product.id)) continue;
+
+    // Exclusion by mapping rules leaves no mapping, but the sync still records
+    // the product; only failures and edits since then are drift
+    const item = latestItems.get(product.id);
+    if (item && item.action !== 'failed' && new Date(product.updatedAt) <= item.createdAt) continue;
+
+    drift.shopifyOrphans.push({
+      shopifyProductId: product.id,
+      title: product.title,
+      reason: item ? `last sync: ${item.action}${item.error ? ` (${item.error})` : ''}` : 'never synced'
+    });
+  }
+
+  for (const mapping of mappings) {
+    if (mapping.status !== 'active') continue;
+
+    const shopifyProduct = shopifyById.get(mapping.shopifyProductId);
+    const finding = {
+      shopifyProductId: mapping.shopifyProductId,
+      medusaProductId: mapping.medusaProductId,
+      title: shopifyProduct?.title || null
+    };
+
+    if (!shopifyProduct || shopifyProduct.status !== 'ACTIVE') {
+      drift.mappingOrphans.push({
+        ...finding,
+        reason: shopifyProduct ? `${shopifyProduct.status.toLowerCase()} in Shopify` : 'deleted in Shopify'
+      });
+      continue;
+    }
+
+    // The tag listing misses products whose tags were edited in Medusa
+    const medusaProduct = medusaById.get(mapping.medusaProductId)
+      || (await medusaClient.findProduct(mapping.medusaProductId))?.product;
+    if (!medusaProduct) {
+      drift.medusaMissing.push({ ...finding, reason: 'Medusa product not found' });
+      continue;
+    }
+
+    const lastSyncedAt = mapping.lastSyncedAt || mapping.updatedAt;
+    if (!awaitingReview.has(mapping.shopifyProductId)
+      && new Date(shopifyProduct.updatedAt) - lastSyncedAt > STALE_GRACE_MS) {
+      drift.stale.push({
+        ...finding,
+        reason: `updated in Shopify ${shopifyProduct.updatedAt}, last synced ${lastSyncedAt.toISOString()}`
+      });
+    }
+
+    const reasons = [];
+    const editedFields = changedMedusaFields(mapping.fieldHashes ? JSON.parse(mapping.fieldHashes) : null, medusaProduct)
+      .filter(field => ownership[field] === 'shopify');
+    if (editedFields.length > 0) {
+      reasons.push(`${editedFields.join(', ')} changed in Medusa`);
+    }
+
+    const medusaVariantIds = new Set((medusaProduct.variants || []).map(variant => variant.id));
+    const mappedVariantIds = new Set(mapping.variants.map(variant => variant.medusaVariantId));
+    const missingVariants = [...mappedVariantIds].filter(id => !medusaVariantIds.has(id)).length;
+    const unmappedVariants = [...medusaVariantIds].filter(id => !mappedVariantIds.has(id)).length;
+    if (missingVariants > 0) reasons.push(`${missingVariants} mapped variants missing in Medusa`);
+    if (unmappedVariants > 0) reasons.push(`${unmappedVariants} Medusa variants not mapped`);
+
+    if (reasons.length > 0) {
+      drift.checksumMismatches.push({ ...finding, reason: reasons.join('; ') });
+    }
+  }
+
+  // Medusa side: archived mappings still own their (draft) Medusa products
+  const ownedMedusaIds = new Set(mappings.filter(mapping => mapping.status !== 'deleted').map(mapping => mapping.medusaProductId));
+  for (const medusaProduct of medusaProducts) {
+    if (ownedMedusaIds.has(medusaProduct.id)) continue;
+
+    drift.medusaOrphans.push({
+      shopifyProductId: null,
+      medusaProductId: medusaProduct.id,
+      title: medusaProduct.title,
+      status: medusaProduct.status,
+      reason: 'no mapping'
+    });
+  }
+
+  return drift;
+}
+
+// Fix every finding, at most once per product. Each finding gets a repair
+// outcome: "fixed" or "failed" with an error. Returns { repaired, failed }
+async function repairDrift(shop, shopify, medusaClient, drift) {
+  const counts = { repaired: 0, failed: 0 };
+  const done = new Map();
+
+  const attempt = async (finding, key, repair) => {
+    if (!done.has(key)) {
+      done.set(key, repair().then(() => ({ repair: 'fixed' }), error => ({ repair: 'failed', error: error.message })));
+    }
+    Object.assign(finding, await done.get(key));
+    counts[finding.repair === 'fixed' ? 'repaired' : 'failed']++;
+  };
+
+  const resync = finding => attempt(finding, finding.shopifyProductId, () =>
+    syncShopifyProduct(shop, shopify, medusaClient, finding.shopifyProductId, { trigger: 'reconcile' }));
+
+  for (const finding of drift.mappingOrphans) {
+    const reason = finding.reason === 'deleted in Shopify' ? 'deleted' : 'unpublished';
+    await attempt(finding, finding.shopifyProductId, () =>
+      removeProductFromMedusa(medusaClient, shop, finding.shopifyProductId, reason));
+  }
+
+  // First, so a stale product that also mismatches gets the forced push
+  for (const finding of drift.checksumMismatches) {
+    // Clearing the hash makes the resync push the product even though
+    // Shopify hasn't changed
+    await prisma.product.updateMany({
+      where: { shopifyProductId: finding.shopifyProductId, storeName: shop },
+      data: { syncHash: null }
+    });
+    await resync(finding);
+  }
+
+  for (const finding of [...drift.shopifyOrphans, ...drift.medusaMissing, ...drift.stale]) {
+    await resync(finding);
+  }
+
+  for (const finding of drift.medusaOrphans) {
+    if (finding.status === 'draft') continue;
+    await attempt(finding, finding.medusaProductId, () =>
+      medusaClient.updateProduct(finding.medusaProductId, { status: 'draft' }));
+  }
+
+  return counts;
+}
+
+// Drift above which a report is flagged, from RECONCILIATION_DRIFT_THRESHOLD
+export function getDriftThreshold() {
+  return parseInt(process.env.RECONCILIATION_DRIFT_THRESHOLD || '10', 10);
+}
+
+// Audit one store and store the report. options.repair fixes what it finds;
+// options.trigger ("manual" or "scheduled") is recorded on the report.
+export async function reconcileStore(shop, shopify, medusaClient, { repair = false, trigger = 'manual' } = {}) {
+  console.log(`\n🧮 Reconciling ${shop}${repair ? ' (with repair)' : ''}`);
+
+  const report = await prisma.reconciliationReport.create({
+    data: { storeName: shop, trigger, repair, status: 'running' }
+  });
+
+  try {
+    const [shopifyProducts, mappings, medusaProducts] = await Promise.all([
+      fetchShopifyProductIndex(shop, shopify),
+      prisma.product.findMany({ where: { storeName: shop }, include: { variants: true } }),
+      medusaClient.listProductsByTag(`store:${shop}`)
+    ]);
+
+    const drift = await findDrift(shop, medusaClient, shopifyProducts, mappings, medusaProducts);
+    const driftCount = DRIFT_CATEGORIES.reduce((total, category) => total + drift[category].length, 0);
+    const repairs = repair && driftCount > 0
+      ? await repairDrift(shop, shopify, medusaClient, drift)
+      : { repaired: 0, failed: 0 };
+
+    const finished = await prisma.reconciliationReport.update({
+      where: { id: report.id },
+      data: {
+        status: 'completed',
+        finishedAt: new Date(),
+        shopifyProducts: shopifyProducts.length,
+        mappedProducts: mappings.filter(mapping => mapping.status === 'active').length,
+        medusaProducts: medusaProducts.length,
+        ...Object.fromEntries(DRIFT_CATEGORIES.map(category => [category, drift[category].length])),
+        driftCount,
+        repaired: repairs.repaired,
+        repairFailed: repairs.failed,
+        findings: JSON.stringify(Object.fromEntries(
+          DRIFT_CATEGORIES.map(category => [category, drift[category].slice(0, FINDINGS_LIMIT)])
+        ))
+      }
+    });
+
+    const threshold = getDriftThreshold();
+    if (driftCount > threshold) {
+      console.warn(`🚨 ${shop} has drifted: ${driftCount} findings (threshold ${threshold}), report ${report.id}`);
+    }
+    console.log(`🧮 Reconciled ${shop}: ${driftCount} findings` +
+      (repair ? `, ${repairs.repaired} repaired, ${repairs.failed} repairs failed` : ''));
+
+    return finished;
+  } catch (error) {
+    await prisma.reconciliationReport.update({
+      where: { id: report.id },
+      data: { status: 'failed', finishedAt: new Date(), errorMessage: error.message }
+    });
+    console.error(`❌ Reconciliation failed for ${shop}: ${error.message}`);
+    throw error;
+  }
+}
+
+function parseReport(report) {
+  return report && { ...report, findings: report.findings ? JSON.parse(report.findings) : null };
+}
+
+// A report with its findings, or null
+export async function getReconciliationReport(id) {
+  return parseReport(await prisma.reconciliationReport.findUnique({ where: { id } }));
+}
+
+// The store's most recent completed report, or null
+export async function getLatestReconciliationReport(shop) {
+  return prisma.reconciliationReport.findFirst({
+    where: { storeName: shop, status: 'completed' },
+    omit: { findings: true },
+    orderBy: { startedAt: 'desc' }
+  });
+}
+
+// List reports, newest first, without their findings
+export async function listReconciliationReports({ shop, status, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(status && { status })
+  };
+
+  const [reports, total] = await Promise.all([
+    prisma.reconciliationReport.findMany({
+      where,
+      omit: { findings: true },
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.reconciliationReport.count({ where })
+  ]);
+
+  return { reports, total };
+}
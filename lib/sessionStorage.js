@@ -0,0 +1,107 @@
+// lib/sessionStorage.js
+// Shopify OAuth sessions kept in Postgres, so installs survive restarts and
+// are shared between instances
+//
+// Implements the session storage interface of @shopify/shopify-api
+// (storeSession, loadSession, deleteSession, deleteSessions, findSessionsByShop).
+// Storing an offline session also upserts the shop's Store row, which keeps
+// a copy of the offline token. Tokens are encrypted in both tables.
+
+import { PrismaClient } from '@prisma/client';
+import { Session } from '@shopify/shopify-api';
+import { encryptSecret, decryptSecret } from './tokenEncryption.js';
+
+const prisma = new PrismaClient();
+
+// Id of a shop's offline session, as the library names it
+export function offlineSessionId(shop) {
+  return `offline_${shop}`;
+}
+
+function toRow(session) {
+  return {
+    shop: session.shop,
+    state: session.state || '',
+    isOnline: Boolean(session.isOnline),
+    scope: session.scope || null,
+    expires: session.expires || null,
+    accessToken: session.accessToken ? encryptSecret(session.accessToken) : null,
+    userId: session.onlineAccessInfo?.associated_user?.id?.toString() || null
+  };
+}
+
+function toSession(row) {
+  return new Session({
+    id: row.id,
+    shop: row.shop,
+    state: row.state,
+    isOnline: row.isOnline,
+    ...(row.scope && { scope: row.scope }),
+    ...(row.expires && { expires: row.expires }),
+    ...(row.accessToken && { accessToken: decryptSecret(row.accessToken) })
+  });
+}
+
+export class PrismaSessionStorage {
+  // Save or replace a session. Returns true once stored
+  async storeSession(session) {
+    const row = toRow(session);
+    const writes = [];
+
+    // Sessions belong to a Store; the offline one also carries its token
+    if (!session.isOnline) {
+      writes.push(prisma.store.upsert({
+        where: { shop: session.shop },
+        create: { shop: session.shop, accessToken: row.accessToken || '', scope: row.scope },
+        update: { accessToken: row.accessToken || '', scope: row.scope, isActive: true }
+      }));
+    }
+    writes.push(prisma.session.upsert({
+      where: { id: session.id },
+      create: { id: session.id, ...row },
+      update: row
+    }));
+
+    await prisma.$transaction(writes);
+    return true;
+  }
+
+  // A session by id, or undefined
+  async loadSession(id) {
+    const row = await prisma.session.findUnique({ where: { id } });
+    return row ? toSession(row) : undefined;
+  }
+
+  async deleteSession(id) {
+    await prisma.session.deleteMany({ where: { id } });
+    return true;
+  }
+
+  async deleteSessions(ids) {
+    await prisma.session.deleteMany({ where: { id: { in: ids } } });
+    return true;
+  }
+
+  async findSessionsByShop(shop) {
+    const rows = await prisma.session.findMany({ where: { shop } });
+    return rows.map(toSession);
+  }
+}
+
+export const sessionStorage = new PrismaSessionStorage();
+
+// A shop's offline session, or undefined when the app isn't installed
+export async function loadOfflineSession(shop) {
+  const session = await sessionStorage.loadSession(offlineSessionId(shop));
+  return session?.accessToken ? session : undefined;
+}
+
+// Remove a shop's sessions and the token copy on its Store row, e.g. on
+// uninstall. Returns how many sessions were removed
+export async function deleteShopSessions(shop) {
+  const [{ count }] = await prisma.$transaction([
+    prisma.session.deleteMany({ where: { shop } }),
+    prisma.store.updateMany({ where: { shop }, data: { accessToken: '' } })
+  ]);
+  return count;
+}
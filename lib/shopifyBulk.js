@@ -0,0 +1,124 @@
+// lib/shopifyBulk.js
+// Shopify Bulk Operations runner: submit, wait for completion, stream JSONL results
+
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { createShopifyClient } from './shopifyGraphql.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.BULK_POLL_INTERVAL_MS || '5000', 10);
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// Emits `finish:<operation gid>` when the bulk_operations/finish webhook arrives
+const bulkOperationEvents = new EventEmitter();
+bulkOperationEvents.setMaxListeners(0);
+
+const RUN_MUTATION = `mutation ($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation {
+      id
+      status
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+const STATUS_QUERY = `query ($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation {
+      id
+      status
+      errorCode
+      objectCount
+      url
+      partialDataUrl
+    }
+  }
+}`;
+
+// Resolve after `ms`, or earlier if the finish webhook for `operationId` arrives
+function waitForNextCheck(operationId, ms) {
+  return new Promise(resolve => {
+    const event = `finish:${operationId}`;
+    const done = () => {
+      clearTimeout(timer);
+      bulkOperationEvents.off(event, done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    bulkOperationEvents.on(event, done);
+  });
+}
+
+// Submit a bulk query and return the created operation
+async function submitBulkQuery(client, query) {
+  const data = await client.request(RUN_MUTATION, { query });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0) {
+    throw new Error(`Bulk operation rejected: ${userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return bulkOperation;
+}
+
+// Poll a bulk operation until it reaches a terminal status
+async function waitForBulkOperation(client, operationId) {
+  while (true) {
+    const data = await client.request(STATUS_QUERY, { id: operationId });
+    const operation = data.node;
+
+    if (TERMINAL_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+
+    await waitForNextCheck(operationId, POLL_INTERVAL_MS);
+  }
+}
+
+// Stream a JSONL result file line by line
+async function* readJsonLines(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation result: HTTP ${response.status}`);
+  }
+
+  const lines = readline.createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+// Run a bulk query for a shop and yield each JSONL result object
+export async function* runBulkQuery(shop, shopify, query) {
+  const client = createShopifyClient(shopify, shop);
+
+  const submitted = await submitBulkQuery(client, query);
+  console.log(`📦 Bulk operation ${submitted.id} submitted for ${shop}`);
+
+  const operation = await waitForBulkOperation(client, submitted.id);
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${operation.id} ended with status ${operation.status} (${operation.errorCode || 'no error code'})`);
+  }
+
+  console.log(`✅ Bulk operation ${operation.id} completed with ${operation.objectCount} objects`);
+
+  // No url means the query matched nothing
+  if (!operation.url) return;
+
+  yield* readJsonLines(operation.url);
+}
+
+// Called by the bulk_operations/finish webhook to wake up a waiting runner
+export function notifyBulkOperationFinished(operationId) {
+  bulkOperationEvents.emit(`finish:${operationId}`);
+}
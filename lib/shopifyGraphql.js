@@ -0,0 +1,223 @@
+// lib/shopifyGraphql.js
+// Shared Shopify Admin GraphQL client, used for every Shopify call
+//
+// Shopify meters GraphQL by query cost against a leaky bucket per shop. The
+// client tracks each shop's bucket from extensions.cost.throttleStatus, waits
+// before a query the bucket can't cover, retries THROTTLED and 5xx responses
+// with backoff, and keeps per-shop cost metrics.
+
+import { loadOfflineSession } from './sessionStorage.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.SHOPIFY_GRAPHQL_MAX_ATTEMPTS || '5', 10);
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+// Standard plan bucket, used until Shopify reports the shop's real one
+const DEFAULT_MAXIMUM_AVAILABLE = 1000;
+const DEFAULT_RESTORE_RATE = 50;
+
+// Cost assumed for a query Shopify hasn't priced for us yet
+const DEFAULT_QUERY_COST = 100;
+const MAX_TRACKED_QUERIES = 200;
+
+// Access tokens are re-read this often, so reinstalls are picked up
+const SESSION_TTL_MS = 5 * 60 * 1000;
+
+const shops = new Map();
+const queryCosts = new Map();
+
+function getShopState(shop) {
+  if (!shops.has(shop)) {
+    shops.set(shop, {
+      available: DEFAULT_MAXIMUM_AVAILABLE,
+      maximumAvailable: DEFAULT_MAXIMUM_AVAILABLE,
+      restoreRate: DEFAULT_RESTORE_RATE,
+      updatedAt: Date.now(),
+      session: null,
+      sessionLoadedAt: 0,
+      metrics: {
+        queries: 0,
+        retries: 0,
+        throttled: 0,
+        serverErrors: 0,
+        failed: 0,
+        requestedCost: 0,
+        actualCost: 0,
+        waitedMs: 0,
+        lastQueryAt: null
+      }
+    });
+  }
+  return shops.get(shop);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Points in the bucket now, counting what has leaked back since the last update
+function currentlyAvailable(state) {
+  const restored = (Date.now() - state.updatedAt) / 1000 * state.restoreRate;
+  return Math.min(state.maximumAvailable, state.available + restored);
+}
+
+// Wait until the bucket covers `cost`, then take it out. Shopify's own figure
+// replaces the estimate when the response arrives.
+async function reserve(state, cost) {
+  const needed = Math.min(cost, state.maximumAvailable);
+  const shortfall = needed - currentlyAvailable(state);
+
+  if (shortfall > 0) {
+    const waitMs = Math.ceil(shortfall / state.restoreRate * 1000);
+    state.metrics.waitedMs += waitMs;
+    await sleep(waitMs);
+  }
+
+  state.available = currentlyAvailable(state) - needed;
+  state.updatedAt = Date.now();
+}
+
+function recordCost(state, query, cost) {
+  if (!cost) return;
+
+  const { requestedQueryCost, actualQueryCost, throttleStatus } = cost;
+  if (throttleStatus) {
+    state.available = throttleStatus.currentlyAvailable;
+    state.maximumAvailable = throttleStatus.maximumAvailable;
+    state.restoreRate = throttleStatus.restoreRate;
+    state.updatedAt = Date.now();
+  }
+
+  if (queryCosts.size >= MAX_TRACKED_QUERIES) queryCosts.clear();
+  queryCosts.set(query, requestedQueryCost);
+
+  state.metrics.requestedCost += requestedQueryCost || 0;
+  state.metrics.actualCost += actualQueryCost || 0;
+}
+
+// Offline session for a shop, from session storage
+async function loadSession(state, shop) {
+  if (state.session && Date.now() - state.sessionLoadedAt < SESSION_TTL_MS) {
+    return state.session;
+  }
+
+  const session = await loadOfflineSession(shop);
+  if (!session) {
+    throw new Error(`No Shopify access token for ${shop}`);
+  }
+
+  state.session = session;
+  state.sessionLoadedAt = Date.now();
+  return state.session;
+}
+
+// Send one request. The library throws on HTTP errors and on GraphQL errors;
+// both are turned back into { status, body } so cost and throttling can be read.
+async function send(shopify, session, query, variables) {
+  try {
+    const client = new shopify.clients.Graphql({ session });
+    return { status: 200, body: await client.request(query, { variables }) };
+  } catch (error) {
+    if (error.body) {
+      return { status: 200, body: error.body };
+    }
+    if (error.response?.code) {
+      return { status: error.response.code, body: error.response.body || {}, retryAfter: error.response.retryAfter };
+    }
+    throw error;
+  }
+}
+
+// GraphQL errors arrive as a list, or wrapped by the client library
+function graphqlErrors(body) {
+  if (!body.errors) return [];
+  return Array.isArray(body.errors) ? body.errors : body.errors.graphQLErrors || [body.errors];
+}
+
+function backoffMs(attempt) {
+  const exponential = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return exponential / 2 + Math.random() * exponential / 2;
+}
+
+// Run a GraphQL query for a shop and return its data, throwing on GraphQL errors
+export async function shopifyGraphql(shopify, shop, query, variables = {}) {
+  const state = getShopState(shop);
+
+  for (let attempt = 1; ; attempt++) {
+    const cost = queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+    await reserve(state, cost);
+
+    state.metrics.queries++;
+    state.metrics.lastQueryAt = new Date();
+
+    const session = await loadSession(state, shop);
+    const { status, body, retryAfter } = await send(shopify, session, query, variables);
+    recordCost(state, query, body.extensions?.cost);
+
+    const errors = graphqlErrors(body);
+    const throttled = status === 429 || errors.some(error => error.extensions?.code === 'THROTTLED');
+
+    if (status === 401) {
+      // Token revoked or replaced: read it again next time
+      state.session = null;
+    }
+
+    if ((throttled || status >= 500) && attempt < MAX_ATTEMPTS) {
+      state.metrics.retries++;
+      if (throttled) {
+        state.metrics.throttled++;
+      } else {
+        state.metrics.serverErrors++;
+      }
+
+      // A throttled query waits for the bucket to refill; reserve() handles
+      // that from the fresh throttle status. Other failures back off.
+      const waitMs = throttled && body.extensions?.cost?.throttleStatus
+        ? 0
+        : retryAfter ? retryAfter * 1000 : backoffMs(attempt);
+      console.warn(`⏳ Shopify ${throttled ? 'throttled' : `HTTP ${status}`} for ${shop}, retry ${attempt}/${MAX_ATTEMPTS - 1}`);
+      state.metrics.waitedMs += waitMs;
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (status >= 400 || errors.length > 0) {
+      state.metrics.failed++;
+      throw new Error(errors.length > 0 ? JSON.stringify(errors) : `Shopify GraphQL HTTP ${status}`);
+    }
+
+    return body.data;
+  }
+}
+
+// Drop a shop's cached session, after its token was revoked
+export function forgetShopSession(shop) {
+  const state = shops.get(shop);
+  if (state) state.session = null;
+}
+
+// A client bound to one shop: client.request(query, variables) resolves to data
+export function createShopifyClient(shopify, shop) {
+  return {
+    shop,
+    request: (query, variables) => shopifyGraphql(shopify, shop, query, variables)
+  };
+}
+
+function describeShop(shop, state) {
+  return {
+    shop,
+    bucket: {
+      available: Math.floor(currentlyAvailable(state)),
+      maximumAvailable: state.maximumAvailable,
+      restoreRate: state.restoreRate
+    },
+    ...state.metrics
+  };
+}
+
+// Cost metrics since startup, for one shop or every shop seen
+export function getShopifyCostMetrics(shop) {
+  if (shop) {
+    return shops.has(shop) ? describeShop(shop, shops.get(shop)) : null;
+  }
+  return [...shops].map(([name, state]) => describeShop(name, state));
+}
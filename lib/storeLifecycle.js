@@ -0,0 +1,117 @@
+// lib/storeLifecycle.js
+// Store lifecycle: uninstall and reinstall of the app
+//
+// Uninstalling deactivates the store at once (sessions revoked, queued jobs
+// cancelled, open deliveries and returns flagged for manual handling), then a
+// job takes its products off the Medusa storefront. Mappings are kept, so a
+// reinstall republishes the same Medusa products instead of creating new ones.
+
+import { PrismaClient } from '@prisma/client';
+import { deleteShopSessions } from './sessionStorage.js';
+import { forgetShopSession } from './shopifyGraphql.js';
+import { cancelStoreJobs, enqueueJob } from './jobQueue.js';
+
+const prisma = new PrismaClient();
+
+const UNINSTALL_REASON = 'App uninstalled by the merchant';
+
+// Deliveries not yet completed or failed
+const OPEN_DELIVERY_STATUSES = ['PENDING', 'CONFIRMED', 'DISPATCHED'];
+
+// Returns not yet refunded or rejected
+const OPEN_RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED', 'PICKED_UP', 'RECEIVED'];
+
+// Deactivate an uninstalled store. Returns what was revoked and flagged, or
+// null when the store isn't known
+export async function deactivateStore(shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+  if (!store) return null;
+
+  const manualHandling = { needsManualHandling: true, manualHandlingReason: UNINSTALL_REASON };
+  const [, orders, returns, revisions] = await prisma.$transaction([
+    prisma.store.update({
+      where: { shop },
+      data: { isActive: false, uninstalledAt: new Date() }
+    }),
+    prisma.order.updateMany({
+      where: { merchantShop: shop, deliveryStatus: { in: OPEN_DELIVERY_STATUSES } },
+      data: manualHandling
+    }),
+    prisma.return.updateMany({
+      where: { storeId: store.id, status: { in: OPEN_RETURN_STATUSES } },
+      data: manualHandling
+    }),
+    // Approving them later would call Shopify with the revoked token
+    prisma.productRevision.updateMany({
+      where: { storeName: shop, status: 'pending' },
+      data: { status: 'superseded' }
+    })
+  ]);
+
+  const sessions = await deleteShopSessions(shop);
+  forgetShopSession(shop);
+  const jobs = await cancelStoreJobs(shop, UNINSTALL_REASON);
+
+  console.log(`🔌 ${shop} uninstalled: ${sessions} sessions revoked, ${jobs} queued jobs cancelled, ` +
+    `${orders.count} deliveries and ${returns.count} returns flagged for manual handling`);
+
+  return {
+    sessions,
+    jobs,
+    orders: orders.count,
+    returns: returns.count,
+    revisions: revisions.count
+  };
+}
+
+// Take an uninstalled store's products off the storefront: Medusa products go
+// to draft and their mappings to "archived". Throws when some fail, so the job
+// retries; products already hidden are skipped then.
+export async function hideStoreProducts(medusaClient, shop) {
+  const store = await prisma.store.findUnique({ where: { shop } });
+  if (store?.isActive) {
+    console.log(`↩️ ${shop} was reinstalled, leaving its products live`);
+    return { hidden: 0, failed: 0 };
+  }
+
+  const mappings = await prisma.product.findMany({
+    where: { storeName: shop, status: 'active' },
+    select: { id: true, medusaProductId: true }
+  });
+
+  let hidden = 0;
+  let failed = 0;
+  for (const mapping of mappings) {
+    try {
+      if (await medusaClient.findProduct(mapping.medusaProductId)) {
+        await medusaClient.updateProduct(mapping.medusaProductId, { status: 'draft' });
+      }
+      await prisma.product.update({ where: { id: mapping.id }, data: { status: 'archived' } });
+      hidden++;
+    } catch (error) {
+      failed++;
+      console.error(`⚠️ Failed to hide Medusa product ${mapping.medusaProductId}: ${error.message}`);
+    }
+  }
+
+  console.log(`🗄️ Hid ${hidden} Medusa products of uninstalled store ${shop}`);
+  if (failed > 0) {
+    throw new Error(`${failed} of ${mappings.length} products could not be hidden`);
+  }
+  return { hidden, failed };
+}
+
+// Bring a store back after a reinstall. A full sync republishes its archived
+// Medusa products through the existing mappings. Returns true when the store
+// had been uninstalled.
+export async function reactivateStore(shop) {
+  const { count } = await prisma.store.updateMany({
+    where: { shop, uninstalledAt: { not: null } },
+    data: { isActive: true, uninstalledAt: null }
+  });
+  if (count === 0) return false;
+
+  console.log(`🔌 ${shop} reinstalled, queueing a full resync`);
+  await enqueueJob('store.sync', { shop, trigger: 'reinstall' }, { storeName: shop });
+  return true;
+}
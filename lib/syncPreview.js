@@ -0,0 +1,160 @@
+// lib/syncPreview.js
+// Field-level diff between what a sync would push and what Medusa has, plus a text report
+
+import { matchVariants } from './variantSync.js';
+
+const PRODUCT_FIELDS = ['title', 'description', 'handle', 'status'];
+const VARIANT_FIELDS = ['title', 'sku'];
+
+function fieldChanges(fields, desired, current) {
+  return fields
+    .filter(field => (desired[field] ?? null) !== (current[field] ?? null))
+    .map(field => ({ field, from: current[field] ?? null, to: desired[field] ?? null }));
+}
+
+function listChange(field, desired, current) {
+  const sortedDesired = [...desired].sort();
+  const sortedCurrent = [...current].sort();
+  return JSON.stringify(sortedDesired) === JSON.stringify(sortedCurrent)
+    ? []
+    : [{ field, from: sortedCurrent, to: sortedDesired }];
+}
+
+// Compare a product payload with the current Medusa product. `variants` are the
+// transformed Shopify variants, `mappedIds` the stored variant mappings.
+// Returns { changes, variants: { added, updated, removed } }
+export function diffProduct(payload, medusaProduct, variants, mappedIds) {
+  const changes = [
+    ...fieldChanges(PRODUCT_FIELDS, payload, medusaProduct),
+    ...listChange('tags', payload.tags, (medusaProduct.tags || []).map(tag => tag.value)),
+    ...listChange('images', payload.images.map(image => image.url), (medusaProduct.images || []).map(image => image.url))
+  ];
+
+  const { matches, unmatched } = matchVariants(variants, medusaProduct.variants || [], mappedIds);
+  const variantDiff = { added: [], updated: [], removed: [] };
+
+  for (const { variant, medusaVariant } of matches) {
+    if (!medusaVariant) {
+      variantDiff.added.push({ shopifyVariantId: variant.shopifyVariantId, title: variant.title, sku: variant.sku });
+      continue;
+    }
+
+    const variantChanges = fieldChanges(VARIANT_FIELDS, variant, medusaVariant);
+    if (variantChanges.length > 0) {
+      variantDiff.updated.push({
+        shopifyVariantId: variant.shopifyVariantId,
+        medusaVariantId: medusaVariant.id,
+        changes: variantChanges
+      });
+    }
+  }
+
+  for (const medusaVariant of unmatched) {
+    variantDiff.removed.push({ medusaVariantId: medusaVariant.id, title: medusaVariant.title, sku: medusaVariant.sku });
+  }
+
+  return { changes, variants: variantDiff };
+}
+
+// Collection membership change between the Shopify collection IDs a product
+// should be in and the ones recorded on its mapping, as a list of field changes
+export function diffCollections(desiredIds, currentIds) {
+  return listChange('collections', desiredIds, currentIds);
+}
+
+// True when a diffProduct result would lead to no writes
+export function isEmptyDiff(diff) {
+  return diff.changes.length === 0
+    && diff.variants.added.length === 0
+    && diff.variants.updated.length === 0
+    && diff.variants.removed.length === 0;
+}
+
+const formatValue = value => JSON.stringify(value ?? null);
+
+// Render a sync preview as a plain-text report
+export function renderSyncPreview(preview) {
+  const lines = [
+    `Sync preview for ${preview.shop} (${preview.incremental ? 'incremental' : 'full'})`,
+    `  ${preview.creates.length} to create, ${preview.updates.length} to update, ` +
+      `${preview.deletions.length} to remove, ${preview.unchanged} unchanged, ${preview.errors.length} errors`,
+    ''
+  ];
+
+  if (preview.creates.length > 0) {
+    lines.push('CREATE');
+    for (const item of preview.creates) {
+      lines.push(`  + ${item.title} [${item.shopifyProductId}] handle=${item.handle}, ${item.variantCount} variants` +
+        (item.reason ? ` (${item.reason})` : ''));
+    }
+    lines.push('');
+  }
+
+  if (preview.updates.length > 0) {
+    lines.push('UPDATE');
+    for (const item of preview.updates) {
+      lines.push(`  ~ ${item.title} [${item.shopifyProductId} -> ${item.medusaProductId}]`);
+      for (const change of item.changes) {
+        lines.push(`      ${change.field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+      }
+      for (const variant of item.variants.added) {
+        lines.push(`      variant added: ${variant.title} (sku ${variant.sku || '-'})`);
+      }
+      for (const variant of item.variants.updated) {
+        const summary = variant.changes.map(c => `${c.field} ${formatValue(c.from)} -> ${formatValue(c.to)}`).join(', ');
+        lines.push(`      variant ${variant.medusaVariantId}: ${summary}`);
+      }
+      for (const variant of item.variants.removed) {
+        lines.push(`      variant removed: ${variant.title} (${variant.medusaVariantId})`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (preview.deletions.length > 0) {
+    lines.push('REMOVE');
+    for (const item of preview.deletions) {
+      lines.push(`  - ${item.title || item.shopifyProductId} [${item.medusaProductId}]: ${item.action} (${item.reason})`);
+    }
+    lines.push('');
+  }
+
+  if (preview.held?.length > 0) {
+    lines.push('HELD FOR REVIEW');
+    for (const item of preview.held) {
+      lines.push(`  = ${item.title} [${item.shopifyProductId}]: ${item.reason}`);
+      for (const change of item.changes) {
+        lines.push(`      ${change.field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (preview.conflicts?.length > 0) {
+    lines.push('CONFLICTS');
+    for (const item of preview.conflicts) {
+      lines.push(`  ? ${item.title} [${item.shopifyProductId}]: ${item.type} ${formatValue(item.value)} -> ${formatValue(item.resolvedAs)} ` +
+        `(held by ${item.conflictsWith})`);
+    }
+    lines.push('');
+  }
+
+  if (preview.fieldConflicts?.length > 0) {
+    lines.push('FIELD CONFLICTS (Medusa edit kept)');
+    for (const item of preview.fieldConflicts) {
+      lines.push(`  ! ${item.title} [${item.shopifyProductId}]: ${item.field} Shopify ${formatValue(item.shopifyValue)}, ` +
+        `Medusa ${formatValue(item.medusaValue)}`);
+    }
+    lines.push('');
+  }
+
+  if (preview.errors.length > 0) {
+    lines.push('ERRORS');
+    for (const item of preview.errors) {
+      lines.push(`  ! ${item.title || item.shopifyProductId}: ${item.error}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
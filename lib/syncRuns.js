@@ -0,0 +1,100 @@
+// lib/syncRuns.js
+// Sync run history: one SyncRun per sync, one SyncRunItem per product outcome
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Open a run record for a sync that is starting
+export async function startSyncRun(shop, { trigger = 'manual', mode = 'full' } = {}) {
+  return prisma.syncRun.create({
+    data: {
+      storeName: shop,
+      trigger,
+      mode,
+      status: 'running'
+    }
+  });
+}
+
+// Record product outcomes: [{ shopifyProductId, title, action, error }]
+export async function recordSyncRunItems(runId, items) {
+  if (items.length === 0) return;
+
+  try {
+    await prisma.syncRunItem.createMany({
+      data: items.map(item => ({
+        runId,
+        shopifyProductId: item.shopifyProductId,
+        title: item.title || null,
+        action: item.action,
+        error: item.error || null
+      }))
+    });
+  } catch (error) {
+    // History is best-effort: losing it must not fail the sync itself
+    console.error(`⚠️ Failed to record sync run items: ${error.message}`);
+  }
+}
+
+// Close a run with its final counts
+export async function finishSyncRun(runId, counts, errorMessage = null) {
+  try {
+    await prisma.syncRun.update({
+      where: { id: runId },
+      data: {
+        status: errorMessage ? 'failed' : 'completed',
+        finishedAt: new Date(),
+        total: counts.total || 0,
+        created: counts.created || 0,
+        updated: counts.updated || 0,
+        unchanged: counts.unchanged || 0,
+        removed: counts.removed || 0,
+        held: counts.held || 0,
+        failed: counts.failed || 0,
+        errorMessage
+      }
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to finish sync run ${runId}: ${error.message}`);
+  }
+}
+
+// List runs, newest first
+export async function listSyncRuns({ shop, status, limit = 50, offset = 0 } = {}) {
+  const where = {
+    ...(shop && { storeName: shop }),
+    ...(status && { status })
+  };
+
+  const [runs, total] = await Promise.all([
+    prisma.syncRun.findMany({
+      where,
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.syncRun.count({ where })
+  ]);
+
+  return { runs, total };
+}
+
+// A run with a page of its items, optionally filtered by action
+export async function getSyncRun(runId, { action, limit = 500, offset = 0 } = {}) {
+  const run = await prisma.syncRun.findUnique({ where: { id: runId } });
+  if (!run) return null;
+
+  const where = { runId, ...(action && { action }) };
+  const [items, itemTotal] = await Promise.all([
+    prisma.syncRunItem.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.syncRunItem.count({ where })
+  ]);
+
+  return { ...run, items, itemTotal };
+}
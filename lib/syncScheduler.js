@@ -0,0 +1,103 @@
+// lib/syncScheduler.js
+// Periodic incremental product sync for every active store, as a safety net for
+// missed webhooks, and the periodic reconciliation audit that catches what it misses.
+// Both only queue jobs; the job workers run them.
+
+import { PrismaClient } from '@prisma/client';
+import { enqueueJob } from './jobQueue.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_RECONCILIATION_INTERVAL_HOURS = 24;
+
+// Queue an incremental sync for every active store. Every instance runs this
+// timer, so a store is skipped while it has a sync queued or running, or had
+// one queued within `windowMs`; the job workers spread the syncs out.
+async function queueIncrementalSyncPass(windowMs) {
+  const stores = await prisma.store.findMany({
+    where: { isActive: true },
+    select: { shop: true }
+  });
+
+  console.log(`⏰ Queueing incremental sync for ${stores.length} active stores`);
+
+  const since = new Date(Date.now() - windowMs);
+  for (const { shop } of stores) {
+    await enqueueJob('store.sync', { shop, incremental: true, trigger: 'scheduled' }, {
+      storeName: shop,
+      maxAttempts: 1,
+      dedupeSince: since
+    });
+  }
+}
+
+// Start the scheduler. Interval comes from INCREMENTAL_SYNC_INTERVAL_MINUTES
+// (0 disables it). Returns a function that stops the scheduler.
+export function startSyncScheduler() {
+  const minutes = parseFloat(process.env.INCREMENTAL_SYNC_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+
+  if (!minutes || minutes <= 0) {
+    console.log('⏸️  Scheduled incremental sync disabled');
+    return () => {};
+  }
+
+  const intervalMs = minutes * 60 * 1000;
+  const timer = setInterval(async () => {
+    try {
+      // Half an interval, so timer drift on one instance doesn't skip a pass
+      await queueIncrementalSyncPass(intervalMs / 2);
+    } catch (error) {
+      console.error(`❌ Queueing incremental sync failed: ${error.message}`);
+    }
+  }, intervalMs);
+
+  console.log(`⏰ Scheduled incremental sync every ${minutes} minutes`);
+  return () => clearInterval(timer);
+}
+
+// Queue a reconciliation audit for every active store. As with the sync pass,
+// a store is skipped while an audit is queued or running, or was queued within
+// `windowMs`, so instances don't stack audits (and repairs) on one store.
+async function queueReconciliationPass(repair, windowMs) {
+  const stores = await prisma.store.findMany({
+    where: { isActive: true },
+    select: { shop: true }
+  });
+
+  console.log(`⏰ Queueing reconciliation for ${stores.length} active stores`);
+
+  const since = new Date(Date.now() - windowMs);
+  for (const { shop } of stores) {
+    await enqueueJob('store.reconcile', { shop, repair, trigger: 'scheduled' }, {
+      storeName: shop,
+      maxAttempts: 1,
+      dedupeSince: since
+    });
+  }
+}
+
+// Start the reconciliation scheduler. Interval comes from
+// RECONCILIATION_INTERVAL_HOURS (0 disables it); RECONCILIATION_AUTO_REPAIR=true
+// repairs what the audits find. Returns a function that stops the scheduler.
+export function startReconciliationScheduler() {
+  const hours = parseFloat(process.env.RECONCILIATION_INTERVAL_HOURS ?? DEFAULT_RECONCILIATION_INTERVAL_HOURS);
+  const repair = process.env.RECONCILIATION_AUTO_REPAIR === 'true';
+
+  if (!hours || hours <= 0) {
+    console.log('⏸️  Scheduled reconciliation disabled');
+    return () => {};
+  }
+
+  const intervalMs = hours * 60 * 60 * 1000;
+  const timer = setInterval(async () => {
+    try {
+      await queueReconciliationPass(repair, intervalMs / 2);
+    } catch (error) {
+      console.error(`❌ Queueing reconciliation failed: ${error.message}`);
+    }
+  }, intervalMs);
+
+  console.log(`⏰ Scheduled reconciliation every ${hours} hours${repair ? ' with auto-repair' : ''}`);
+  return () => clearInterval(timer);
+}
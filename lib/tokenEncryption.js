@@ -0,0 +1,156 @@
+// lib/tokenEncryption.js
+// Encryption at rest for per-store credentials (Shopify access tokens)
+//
+// Envelope encryption with AES-256-GCM: every value gets its own random data
+// key, which is wrapped by a master key from TOKEN_ENCRYPTION_KEYS. Stored
+// values look like
+//   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+// so the key that wrapped them is always known. Rotating only re-wraps the
+// data keys (scripts/rotateEncryptionKey.js); the ciphertext is untouched.
+//
+// TOKEN_ENCRYPTION_KEYS  comma-separated "keyId:base64 32-byte key" entries;
+//                        retired keys stay listed until rotation is done
+// TOKEN_ENCRYPTION_KEY_ID  key new values are written with (default: the first)
+//
+// Values without the prefix are plaintext written before encryption was
+// turned on; they are read as they are until rotation encrypts them.
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+// Columns holding encrypted credentials, for the rotation script
+export const ENCRYPTED_COLUMNS = [
+  { model: 'store', field: 'accessToken' },
+  { model: 'session', field: 'accessToken' }
+];
+
+let keyring = null;
+let warnedPlaintext = false;
+
+// Parse the key configuration once. Throws on malformed entries
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must be "keyId:base64key" with a keyId of letters, digits, _ or -');
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key "${id}" must be ${KEY_BYTES} bytes (base64), got ${key.length}`);
+    }
+    keys.set(id, key);
+  }
+
+  const activeId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+  if (activeId && !keys.has(activeId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeId };
+  return keyring;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// Wrap a data key under a master key; the key id is authenticated with it
+function wrapDataKey(keyId, dataKey) {
+  return seal(loadKeyring().keys.get(keyId), dataKey, Buffer.from(keyId));
+}
+
+function parse(value) {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  const masterKey = loadKeyring().keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+  return { keyId, dataKey: open(masterKey, wrappedKey, Buffer.from(keyId)), payload };
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Whether keys are configured, i.e. new values will be encrypted
+export function isEncryptionConfigured() {
+  return Boolean(loadKeyring().activeId);
+}
+
+// Check the key configuration at startup. In production a missing or broken
+// configuration is fatal; elsewhere it only means tokens are stored in plaintext.
+export function assertEncryptionConfigured() {
+  if (!isEncryptionConfigured()) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is required in production');
+    }
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEYS not set: access tokens are stored unencrypted');
+  }
+}
+
+// Encrypt a credential for storage. null/undefined pass through
+export function encryptSecret(plaintext) {
+  if (plaintext == null || plaintext === '') return plaintext;
+
+  const { activeId } = loadKeyring();
+  if (!activeId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Refusing to store a credential unencrypted: TOKEN_ENCRYPTION_KEYS is not set');
+    }
+    if (!warnedPlaintext) {
+      console.warn('⚠️ Storing a credential unencrypted (TOKEN_ENCRYPTION_KEYS not set)');
+      warnedPlaintext = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const payload = seal(dataKey, Buffer.from(plaintext, 'utf8'), Buffer.from(PREFIX));
+  return `${PREFIX}${activeId}:${wrapDataKey(activeId, dataKey)}:${payload}`;
+}
+
+// Decrypt a stored credential. Plaintext from before encryption is returned as is
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const { dataKey, payload } = parse(value);
+  return open(dataKey, payload, Buffer.from(PREFIX)).toString('utf8');
+}
+
+// Whether a stored value is plaintext or wrapped by a key other than the active one
+export function needsRotation(value) {
+  if (value == null || value === '') return false;
+  if (!isEncrypted(value)) return true;
+  return value.slice(PREFIX.length).split(':')[0] !== loadKeyring().activeId;
+}
+
+// Re-wrap a stored value under the active key (encrypting plaintext)
+export function rotateSecret(value) {
+  if (!isEncrypted(value)) return encryptSecret(value);
+
+  const { activeId } = loadKeyring();
+  const { dataKey, payload } = parse(value);
+  return `${PREFIX}${activeId}:${wrapDataKey(activeId, dataKey)}:${payload}`;
+}
@@ -0,0 +1,162 @@
+// lib/variantSync.js
+// Shopify <-> Medusa variant mapping and per-variant diffing
+
+import { PrismaClient } from '@prisma/client';
+import { buildVariantPrices } from './pricing.js';
+
+const prisma = new PrismaClient();
+
+// Medusa variant payload for a transformed Shopify variant. The Shopify ID is
+// kept in metadata so created variants can be matched back to their source.
+export function toMedusaVariant(variant) {
+  const { shopifyVariantId, inventoryItemId, currencyCode, price, compareAtPrice, marketPrices, ...fields } = variant;
+  return {
+    ...fields,
+    prices: buildVariantPrices(variant),
+    metadata: { ...fields.metadata, shopify_variant_id: shopifyVariantId }
+  };
+}
+
+// Find the Medusa variant created for a Shopify variant, by metadata then SKU
+function findMedusaVariant(medusaVariants, variant, claimed) {
+  const available = medusaVariants.filter(v => !claimed.has(v.id));
+  return available.find(v => v.metadata?.shopify_variant_id === variant.shopifyVariantId)
+    || (variant.sku && available.find(v => v.sku === variant.sku))
+    || null;
+}
+
+// Pair the variants of a freshly created Medusa product with their Shopify sources
+export function mapCreatedVariants(medusaProduct, variants) {
+  const claimed = new Set();
+  const mappings = [];
+
+  variants.forEach((variant, index) => {
+    const match = findMedusaVariant(medusaProduct.variants, variant, claimed)
+      || medusaProduct.variants.filter(v => !claimed.has(v.id))[0];
+
+    if (!match) {
+      console.warn(`⚠️ No Medusa variant found for Shopify variant ${variant.shopifyVariantId} (position ${index})`);
+      return;
+    }
+
+    claimed.add(match.id);
+    mappings.push({
+      shopifyVariantId: variant.shopifyVariantId,
+      medusaVariantId: match.id,
+      inventoryItemId: variant.inventoryItemId,
+      medusaSku: variant.sku || null
+    });
+  });
+
+  return mappings;
+}
+
+// Shopify variant ID -> Medusa variant ID for a product's stored mappings
+export async function loadVariantMappings(shopifyProductId) {
+  const rows = await prisma.variant.findMany({ where: { shopifyProductId } });
+  return new Map(rows.map(row => [row.shopifyVariantId, row.medusaVariantId]));
+}
+
+// Pair Shopify variants with the existing Medusa variants they correspond to,
+// through the stored mappings and falling back to SKU. Returns
+// { matches: [{ variant, medusaVariant | null }], unmatched: [medusaVariant] }
+export function matchVariants(variants, medusaVariants, mappedIds) {
+  const claimed = new Set();
+
+  const matches = variants.map(variant => {
+    const mappedId = mappedIds.get(variant.shopifyVariantId);
+    const medusaVariant = medusaVariants.find(v => v.id === mappedId && !claimed.has(v.id))
+      || (variant.sku && medusaVariants.find(v => v.sku === variant.sku && !claimed.has(v.id)))
+      || null;
+
+    if (medusaVariant) claimed.add(medusaVariant.id);
+    return { variant, medusaVariant };
+  });
+
+  return {
+    matches,
+    unmatched: medusaVariants.filter(v => !claimed.has(v.id))
+  };
+}
+
+// Add, update and remove the variants of an existing Medusa product so they
+// match Shopify. Returns the resulting Shopify -> Medusa mappings.
+export async function syncProductVariants(medusaClient, medusaProduct, shopifyProductId, variants) {
+  const mappedIds = await loadVariantMappings(shopifyProductId);
+  const { matches, unmatched } = matchVariants(variants, medusaProduct.variants || [], mappedIds);
+  const claimed = new Set(matches.filter(m => m.medusaVariant).map(m => m.medusaVariant.id));
+  const mappings = [];
+
+  for (const { variant, medusaVariant } of matches) {
+    const data = toMedusaVariant(variant);
+    let medusaVariantId = medusaVariant?.id;
+
+    if (medusaVariantId) {
+      await medusaClient.updateVariant(medusaProduct.id, medusaVariantId, data);
+    } else {
+      console.log(`➕ Adding variant ${variant.title} to ${medusaProduct.id}`);
+      const response = await medusaClient.createVariant(medusaProduct.id, data);
+      medusaVariantId = findMedusaVariant(response.product.variants, variant, claimed)?.id;
+
+      if (!medusaVariantId) {
+        throw new Error(`Created variant for ${variant.shopifyVariantId} not found on Medusa product ${medusaProduct.id}`);
+      }
+      claimed.add(medusaVariantId);
+    }
+
+    mappings.push({
+      shopifyVariantId: variant.shopifyVariantId,
+      medusaVariantId,
+      inventoryItemId: variant.inventoryItemId,
+      medusaSku: variant.sku || null
+    });
+  }
+
+  for (const medusaVariant of unmatched) {
+    console.log(`➖ Removing variant ${medusaVariant.id} from ${medusaProduct.id}`);
+    await medusaClient.deleteVariant(medusaProduct.id, medusaVariant.id);
+  }
+
+  return mappings;
+}
+
+// Persist the variant mappings of a product, dropping rows for variants that
+// no longer exist. Rows still referenced by returns are kept, since deleting
+// them would cascade to the return records. `db` is the transaction client the
+// Product mapping is written with.
+export async function saveVariantMappings(db, shopifyProductId, mappings) {
+  await db.variant.deleteMany({
+    where: {
+      shopifyProductId,
+      shopifyVariantId: { notIn: mappings.map(m => m.shopifyVariantId) },
+      returns: { none: {} }
+    }
+  });
+
+  for (const { shopifyVariantId, medusaVariantId, inventoryItemId = null, medusaSku = null } of mappings) {
+    // A recreated Medusa variant has a new inventory item too
+    await db.variant.updateMany({
+      where: { shopifyVariantId, shopifyProductId, medusaVariantId: { not: medusaVariantId } },
+      data: { medusaInventoryItemId: null }
+    });
+    await db.variant.upsert({
+      where: {
+        shopifyVariantId_shopifyProductId: { shopifyVariantId, shopifyProductId }
+      },
+      update: { medusaVariantId, inventoryItemId, medusaSku },
+      create: { shopifyVariantId, medusaVariantId, shopifyProductId, inventoryItemId, medusaSku }
+    });
+  }
+}
+
+// Resolve a Shopify variant to its Medusa counterpart for a store
+export async function resolveMedusaVariantId(shopifyVariantId, shop) {
+  const mapping = await prisma.variant.findFirst({
+    where: {
+      shopifyVariantId,
+      product: { storeName: shop }
+    }
+  });
+
+  return mapping ? mapping.medusaVariantId : null;
+}
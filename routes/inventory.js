@@ -0,0 +1,61 @@
+// routes/inventory.js
+// Per-store inventory settings: safety stock and Shopify -> Medusa location mapping
+
+import { Router } from 'express';
+import { getInventorySettings, updateInventorySettings } from '../lib/inventorySync.js';
+
+// HTTP routes for inventory settings, mounted at /inventory
+export default function inventoryRoutes() {
+  const router = Router();
+
+  /**
+   * GET /inventory/:shop/settings
+   * The store's safety stock and its location mappings
+   */
+  router.get('/:shop/settings', async (req, res) => {
+    try {
+      res.json(await getInventorySettings(req.params.shop));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /inventory/:shop/settings
+   * Body: { safetyStock, locations: [{ shopifyLocationId, medusaLocationId, name }] }
+   * safetyStock units are held back from Medusa per variant and location.
+   * Unmapped Shopify locations get a new Medusa stock location on first sync.
+   */
+  router.put('/:shop/settings', async (req, res) => {
+    try {
+      const { safetyStock, locations } = req.body || {};
+
+      if (safetyStock === undefined && locations === undefined) {
+        return res.status(400).json({ error: 'safetyStock or locations required' });
+      }
+
+      if (safetyStock !== undefined && (!Number.isInteger(safetyStock) || safetyStock < 0)) {
+        return res.status(400).json({ error: 'safetyStock must be a non-negative integer' });
+      }
+
+      if (locations !== undefined && (!Array.isArray(locations)
+        || locations.some(location => !location?.shopifyLocationId || !location?.medusaLocationId))) {
+        return res.status(400).json({ error: 'locations must be an array of { shopifyLocationId, medusaLocationId }' });
+      }
+
+      const settings = await updateInventorySettings(req.params.shop, { safetyStock, locations });
+      console.log(`📦 Inventory settings updated for ${req.params.shop}`);
+
+      res.json(settings);
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,157 @@
+// routes/mappingRules.js
+// Per-store field mapping rules: read, replace, and dry-run against a product,
+// plus the metafield allowlist that controls which metafields reach Medusa
+
+import { Router } from 'express';
+import { validateMappingRules, loadMappingRules, saveMappingRules } from '../lib/mappingRules.js';
+import { fetchShopifyProduct, transformToMedusaFormat } from './sync.js';
+import { toProductGid } from '../lib/productRemoval.js';
+import {
+  validateMetafieldAllowlist,
+  loadMetafieldAllowlist,
+  saveMetafieldAllowlist
+} from '../lib/productMetadata.js';
+
+// Fill in the connections transformToMedusaFormat expects on a hand-written sample
+function normalizeSampleProduct(product) {
+  return {
+    ...product,
+    variants: product.variants || { edges: [] },
+    images: product.images || { edges: [] }
+  };
+}
+
+// HTTP routes for mapping rules, mounted at /mapping-rules
+export default function mappingRulesRoutes(shopify) {
+  const router = Router();
+
+  /**
+   * POST /mapping-rules/test
+   * Run a rule set against a sample product without saving anything. Body is
+   * { rules, product } with a Shopify GraphQL-shaped product, or
+   * { shop, productId, rules? } to fetch the product from Shopify; rules
+   * default to the store's saved set. Metafields follow the store's allowlist,
+   * or body.metafieldAllowlist for a sample with no shop
+   */
+  router.post('/test', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const { shop, productId, metafieldAllowlist } = body;
+      let { rules, product } = body;
+
+      if (!product && !(shop && productId)) {
+        return res.status(400).json({ error: 'product, or shop and productId, is required' });
+      }
+
+      if (rules === undefined && shop) {
+        rules = await loadMappingRules(shop);
+      }
+
+      if (rules) {
+        const errors = validateMappingRules(rules);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid mapping rules', errors });
+        }
+      }
+
+      if (!product) {
+        product = await fetchShopifyProduct(shop, shopify, toProductGid(productId));
+        if (!product) {
+          return res.status(404).json({ error: 'Product not found in Shopify' });
+        }
+      }
+
+      const transformed = transformToMedusaFormat(normalizeSampleProduct(product), shop || 'sample', {
+        mappingRules: rules,
+        metafieldAllowlist: shop ? await loadMetafieldAllowlist(shop) : metafieldAllowlist
+      });
+
+      res.json({
+        excluded: transformed === null,
+        product: transformed
+      });
+    } catch (error) {
+      console.error(`❌ Error testing mapping rules: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /mapping-rules/:shop
+   * The store's saved rule set, or null when it uses the default mapping
+   */
+  router.get('/:shop', async (req, res) => {
+    try {
+      const rules = await loadMappingRules(req.params.shop);
+
+      res.json({ shop: req.params.shop, rules });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /mapping-rules/:shop
+   * Replace the store's rule set. Body is the rule set JSON
+   */
+  router.put('/:shop', async (req, res) => {
+    try {
+      const errors = validateMappingRules(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid mapping rules', errors });
+      }
+
+      await saveMappingRules(req.params.shop, req.body);
+      console.log(`🧩 Mapping rules updated for ${req.params.shop}`);
+
+      res.json({ shop: req.params.shop, rules: req.body });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /mapping-rules/:shop/metafields
+   * The store's metafield allowlist
+   */
+  router.get('/:shop/metafields', async (req, res) => {
+    try {
+      const allowlist = await loadMetafieldAllowlist(req.params.shop);
+
+      res.json({ shop: req.params.shop, allowlist });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /mapping-rules/:shop/metafields
+   * Replace the store's metafield allowlist. Body: { allowlist: ["custom.materials", "specs.*"] }
+   */
+  router.put('/:shop/metafields', async (req, res) => {
+    try {
+      const errors = validateMetafieldAllowlist(req.body?.allowlist);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid metafield allowlist', errors });
+      }
+
+      const allowlist = await saveMetafieldAllowlist(req.params.shop, req.body.allowlist);
+      console.log(`🧩 Metafield allowlist updated for ${req.params.shop}`);
+
+      res.json({ shop: req.params.shop, allowlist });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
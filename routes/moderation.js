@@ -0,0 +1,163 @@
+// routes/moderation.js
+// Product moderation queue: per-store settings, pending revisions, approve/reject
+
+import { Router } from 'express';
+import {
+  validateModerationSettings,
+  loadModerationSettings,
+  updateModerationSettings,
+  listProductRevisions,
+  getProductRevision,
+  reviewProductRevision
+} from '../lib/moderation.js';
+import { parsePagination } from '../lib/pagination.js';
+import { publishProductRevision } from './sync.js';
+
+// HTTP routes for product moderation, mounted at /moderation
+export default function moderationRoutes(shopify, medusaClient) {
+  const router = Router();
+
+  /**
+   * GET /moderation/revisions
+   * Product revisions, newest first. Filters: shop, status (e.g. pending), productId
+   */
+  router.get('/revisions', async (req, res) => {
+    try {
+      const { shop, status, productId } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query);
+
+      const { revisions, total } = await listProductRevisions({
+        shop,
+        status,
+        shopifyProductId: productId,
+        limit: take,
+        offset: skip
+      });
+
+      res.json({ revisions, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /moderation/revisions/:id
+   * A revision with the flagged changes and the full product it would publish
+   */
+  router.get('/revisions/:id', async (req, res) => {
+    try {
+      const revision = await getProductRevision(req.params.id);
+
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json(revision);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /moderation/revisions/:id/approve
+   * Push a pending revision to Medusa and make it the approved version.
+   * Body: { reviewedBy, note }
+   */
+  router.post('/revisions/:id/approve', async (req, res) => {
+    try {
+      const revision = await getProductRevision(req.params.id);
+
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      if (revision.status !== 'pending') {
+        return res.status(409).json({ error: `Revision is ${revision.status}, not pending` });
+      }
+
+      // Published first, so a failed push leaves the revision pending
+      const action = await publishProductRevision(revision.storeName, shopify, medusaClient, revision);
+      const approved = await reviewProductRevision(revision.id, 'approved', {
+        reviewedBy: req.body?.reviewedBy,
+        note: req.body?.note
+      });
+      console.log(`✅ Approved ${revision.title} from ${revision.storeName}: ${action}`);
+
+      res.json({ revision: approved, action });
+    } catch (error) {
+      console.error(`❌ Error approving revision: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /moderation/revisions/:id/reject
+   * Reject a pending revision; the approved version stays live. The same
+   * version isn't queued again, but the merchant's next change is.
+   * Body: { reviewedBy, note }
+   */
+  router.post('/revisions/:id/reject', async (req, res) => {
+    try {
+      const rejected = await reviewProductRevision(req.params.id, 'rejected', {
+        reviewedBy: req.body?.reviewedBy,
+        note: req.body?.note
+      });
+
+      if (!rejected) {
+        const revision = await getProductRevision(req.params.id);
+        return revision
+          ? res.status(409).json({ error: `Revision is ${revision.status}, not pending` })
+          : res.status(404).json({ error: 'Revision not found' });
+      }
+
+      console.log(`🚫 Rejected ${rejected.title} from ${rejected.storeName}`);
+      res.json({ revision: rejected });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /moderation/:shop/settings
+   * Whether the store is moderated, its flagged fields and price threshold
+   */
+  router.get('/:shop/settings', async (req, res) => {
+    try {
+      res.json({ shop: req.params.shop, ...await loadModerationSettings(req.params.shop) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /moderation/:shop/settings
+   * Body: { enabled, fields: ["title", "description"], priceChangePercent: 20 }
+   * With moderation on, new products always need approval; updates need it
+   * when a listed field changes or a price moves by more than priceChangePercent.
+   */
+  router.put('/:shop/settings', async (req, res) => {
+    try {
+      const errors = validateModerationSettings(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid moderation settings', errors });
+      }
+
+      const settings = await updateModerationSettings(req.params.shop, req.body);
+      console.log(`🛂 Moderation settings updated for ${req.params.shop}`);
+
+      res.json({ shop: req.params.shop, ...settings });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -67,8 +67,9 @@ const EMAIL_TEMPLATES = {
  * @param {string} params.to - Recipient email
  * @param {string} params.templateType - Template type (orderConfirmation, returnInitiated, etc)
  * @param {Object} params.data - Data for template rendering
+ * @param {string} [params.storeName] - Shop the notification is about, for privacy requests
  */
-async function sendEmail({ to, templateType, data }) {
+async function sendEmail({ to, templateType, data, storeName = null }) {
   try {
     const template = EMAIL_TEMPLATES[templateType];
     if (!template) {
@@ -90,6 +91,7 @@ async function sendEmail({ to, templateType, data }) {
     await prisma.notification.create({
       data: {
         type: 'EMAIL',
+        storeName,
         templateType,
         recipient: to,
         status: 'SENT',
@@ -106,6 +108,7 @@ async function sendEmail({ to, templateType, data }) {
     await prisma.notification.create({
       data: {
         type: 'EMAIL',
+        storeName,
         templateType,
         recipient: to,
         status: 'FAILED',
@@ -124,8 +127,9 @@ async function sendEmail({ to, templateType, data }) {
  * @param {string} params.phone - Recipient phone number
  * @param {string} params.message - SMS message body
  * @param {string} params.type - Notification type for tracking
+ * @param {string} [params.storeName] - Shop the notification is about, for privacy requests
  */
-async function sendSMS({ phone, message, type }) {
+async function sendSMS({ phone, message, type, storeName = null }) {
   try {
     if (!phone || !message) {
       throw new Error('Phone and message are required');
@@ -145,6 +149,7 @@ async function sendSMS({ phone, message, type }) {
     await prisma.notification.create({
       data: {
         type: 'SMS',
+        storeName,
         templateType: type,
         recipient: phone,
         status: 'SENT',
@@ -161,6 +166,7 @@ async function sendSMS({ phone, message, type }) {
     await prisma.notification.create({
       data: {
         type: 'SMS',
+        storeName,
         templateType: type,
         recipient: phone,
         status: 'FAILED',
@@ -196,7 +202,8 @@ router.post('/send-order-confirmation', async (req, res) => {
     await sendEmail({
       to: email,
       templateType: 'orderConfirmation',
-      data: order
+      data: order,
+      storeName: order.merchantShop
     });
 
     // Send SMS if phone provided
@@ -204,7 +211,8 @@ router.post('/send-order-confirmation', async (req, res) => {
       await sendSMS({
         phone,
         message: `Your order #${order.id} has been confirmed. Total: $${(order.total / 100).toFixed(2)}. Expected delivery: ${new Date(order.expectedDeliveryDate).toLocaleDateString()}`,
-        type: 'orderConfirmation'
+        type: 'orderConfirmation',
+        storeName: order.merchantShop
       });
     }
 
@@ -236,14 +244,16 @@ router.post('/send-return-initiated', async (req, res) => {
     await sendEmail({
       to: email,
       templateType: 'returnInitiated',
-      data: returnRequest
+      data: returnRequest,
+      storeName: returnRequest.order.merchantShop
     });
 
     if (phone) {
       await sendSMS({
         phone,
         message: `Return request #${returnRequest.id} received for order #${returnRequest.orderId}. Reason: ${returnRequest.reason}. We'll contact you with pickup details.`,
-        type: 'returnInitiated'
+        type: 'returnInitiated',
+        storeName: returnRequest.order.merchantShop
       });
     }
 
@@ -279,7 +289,8 @@ router.post('/send-delivery-update', async (req, res) => {
       await sendEmail({
         to: recipientEmail,
         templateType: 'deliveryUpdate',
-        data: delivery
+        data: delivery,
+        storeName: delivery.order.merchantShop
       });
     }
 
@@ -287,7 +298,8 @@ router.post('/send-delivery-update', async (req, res) => {
       await sendSMS({
         phone: recipientPhone,
         message: `Your delivery is ${delivery.status.toLowerCase()}. ETA: ${delivery.estimatedArrival}. Driver: ${delivery.driverName}`,
-        type: 'deliveryUpdate'
+        type: 'deliveryUpdate',
+        storeName: delivery.order.merchantShop
       });
     }
 
@@ -0,0 +1,156 @@
+// routes/priceRules.js
+// Per-store marketplace price rules: draft, preview across the catalog, activate
+
+import { Router } from 'express';
+import {
+  validatePriceRules,
+  getPriceRules,
+  saveDraftPriceRules,
+  activatePriceRules
+} from '../lib/priceRules.js';
+import { enqueueJob } from '../lib/jobQueue.js';
+import { parsePagination } from '../lib/pagination.js';
+import { fetchShopifyProducts, loadSyncContext, transformToMedusaFormat } from './sync.js';
+
+const PREVIEW_SAMPLE_LIMIT = 100;
+
+// Run a candidate rule set over a store's whole catalog and compare each
+// variant's store-currency price with what the active rules produce
+async function previewPriceRules(shop, shopify, rules, sampleLimit) {
+  const context = await loadSyncContext(shop, shopify);
+  const candidate = { ...context, priceRules: rules };
+  const summary = { products: 0, variants: 0, changed: 0, increased: 0, decreased: 0 };
+  const changes = [];
+
+  for await (const products of fetchShopifyProducts(shop, shopify)) {
+    for (const product of products) {
+      const current = transformToMedusaFormat(product, shop, context);
+      const proposed = transformToMedusaFormat(product, shop, candidate);
+      if (!current || !proposed) continue;
+
+      summary.products++;
+      proposed.variants.forEach((variant, index) => {
+        const before = current.variants[index];
+        const merchantPrice = parseFloat(product.variants.edges.find(e => e.node.id === variant.shopifyVariantId)?.node.price);
+        summary.variants++;
+
+        if (variant.price === before.price && variant.compareAtPrice === before.compareAtPrice) return;
+
+        summary.changed++;
+        if (variant.price > before.price) summary.increased++;
+        if (variant.price < before.price) summary.decreased++;
+
+        if (changes.length < sampleLimit) {
+          changes.push({
+            shopifyProductId: product.id,
+            shopifyVariantId: variant.shopifyVariantId,
+            title: `${product.title} - ${variant.title}`,
+            sku: variant.sku,
+            merchantPrice,
+            currentPrice: before.price,
+            newPrice: variant.price,
+            currentCompareAtPrice: before.compareAtPrice,
+            newCompareAtPrice: variant.compareAtPrice
+          });
+        }
+      });
+    }
+  }
+
+  return { shop, currencyCode: context.pricing.currencyCode, summary, changes };
+}
+
+// HTTP routes for price rules, mounted at /price-rules
+export default function priceRulesRoutes(shopify) {
+  const router = Router();
+
+  /**
+   * GET /price-rules/:shop
+   * The store's active and draft rule sets
+   */
+  router.get('/:shop', async (req, res) => {
+    try {
+      res.json({ shop: req.params.shop, ...await getPriceRules(req.params.shop) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /price-rules/:shop/draft
+   * Save a draft rule set. Body is the rule set JSON; syncs keep using the
+   * active rules until the draft is activated
+   */
+  router.put('/:shop/draft', async (req, res) => {
+    try {
+      const errors = validatePriceRules(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid price rules', errors });
+      }
+
+      await saveDraftPriceRules(req.params.shop, req.body);
+      console.log(`💲 Draft price rules saved for ${req.params.shop}`);
+
+      res.json({ shop: req.params.shop, draft: req.body });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /price-rules/:shop/preview
+   * Price changes a rule set would make across the store's catalog, compared
+   * with the active rules. Body { rules } previews those rules; otherwise the
+   * saved draft. ?limit= caps the listed changes (default 100)
+   */
+  router.post('/:shop/preview', async (req, res) => {
+    try {
+      const { shop } = req.params;
+      const rules = req.body?.rules || (await getPriceRules(shop)).draft;
+
+      if (!rules) {
+        return res.status(400).json({ error: 'No rules given and no draft saved' });
+      }
+
+      const errors = validatePriceRules(rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid price rules', errors });
+      }
+
+      const { limit } = parsePagination(req.query, { limit: PREVIEW_SAMPLE_LIMIT, max: 1000 });
+      res.json(await previewPriceRules(shop, shopify, rules, limit));
+    } catch (error) {
+      console.error(`❌ Error previewing price rules: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /price-rules/:shop/activate
+   * Make the draft rule set active and queue a full resync so every product
+   * is repriced
+   */
+  router.post('/:shop/activate', async (req, res) => {
+    try {
+      const { shop } = req.params;
+      const rules = await activatePriceRules(shop);
+
+      if (!rules) {
+        return res.status(400).json({ error: 'No draft price rules to activate' });
+      }
+
+      const job = await enqueueJob('store.sync', { shop, trigger: 'price-rules' }, { storeName: shop });
+      console.log(`💲 Price rules activated for ${shop}, resync queued`);
+
+      res.json({ shop, active: rules, resyncJobId: job.id });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,75 @@
+// routes/privacy.js
+// Privacy requests from Shopify's mandatory webhooks: status and data exports
+
+import { Router } from 'express';
+import { getPrivacyRequest, listPrivacyRequests } from '../lib/privacy.js';
+import { parsePagination } from '../lib/pagination.js';
+
+// HTTP routes for privacy requests, mounted at /privacy
+export default function privacyRoutes() {
+  const router = Router();
+
+  /**
+   * GET /privacy/requests
+   * Requests, newest first, without exports. Filters: shop, topic, status
+   */
+  router.get('/requests', async (req, res) => {
+    try {
+      const { shop, topic, status } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query);
+
+      const { requests, total } = await listPrivacyRequests({ shop, topic, status, limit: take, offset: skip });
+
+      res.json({ requests, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /privacy/requests/:id
+   * A request with its outcome per table
+   */
+  router.get('/requests/:id', async (req, res) => {
+    try {
+      const request = await getPrivacyRequest(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({ error: 'Privacy request not found' });
+      }
+
+      const { export: exported, ...rest } = request;
+      res.json({ ...rest, hasExport: Boolean(exported) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /privacy/requests/:id/export
+   * The customer data export of a completed data request, as a JSON download
+   * to hand to the merchant
+   */
+  router.get('/requests/:id/export', async (req, res) => {
+    try {
+      const request = await getPrivacyRequest(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({ error: 'Privacy request not found' });
+      }
+      if (!request.export) {
+        return res.status(409).json({ error: `No export: request is ${request.topic}, ${request.status}` });
+      }
+
+      res.attachment(`customer-data-${request.id}.json`);
+      res.json(request.export);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,109 @@
+// routes/reconciliation.js
+// Reconciliation audits: run on demand, read reports, check drift against the alert threshold
+
+import { Router } from 'express';
+import {
+  DRIFT_CATEGORIES,
+  getDriftThreshold,
+  getReconciliationReport,
+  getLatestReconciliationReport,
+  listReconciliationReports
+} from '../lib/reconciliation.js';
+import { enqueueJob } from '../lib/jobQueue.js';
+import { parsePagination } from '../lib/pagination.js';
+
+// HTTP routes for reconciliation, mounted at /reconciliation
+export default function reconciliationRoutes() {
+  const router = Router();
+
+  /**
+   * GET /reconciliation/reports
+   * Reports, newest first, without findings. Filters: shop, status
+   */
+  router.get('/reports', async (req, res) => {
+    try {
+      const { shop, status } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query);
+
+      const { reports, total } = await listReconciliationReports({ shop, status, limit: take, offset: skip });
+
+      res.json({ reports, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /reconciliation/reports/:id
+   * A report with its findings per category (and repair outcomes, if repaired)
+   */
+  router.get('/reports/:id', async (req, res) => {
+    try {
+      const report = await getReconciliationReport(req.params.id);
+
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      res.json(report);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /reconciliation/:shop/run
+   * Queue an audit of the store. Body: { repair: true } to fix what it finds
+   */
+  router.post('/:shop/run', async (req, res) => {
+    try {
+      const { shop } = req.params;
+      const repair = req.body?.repair === true;
+
+      const job = await enqueueJob('store.reconcile', { shop, repair, trigger: 'manual' }, { storeName: shop, maxAttempts: 1 });
+
+      res.status(202).json({ shop, repair, jobId: job.id });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /reconciliation/:shop/drift
+   * Drift from the store's latest completed audit, for alerting. exceeded is
+   * true when it is over ?threshold= (default RECONCILIATION_DRIFT_THRESHOLD)
+   */
+  router.get('/:shop/drift', async (req, res) => {
+    try {
+      const threshold = req.query.threshold !== undefined ? parseInt(req.query.threshold, 10) : getDriftThreshold();
+
+      if (Number.isNaN(threshold)) {
+        return res.status(400).json({ error: 'threshold must be a number' });
+      }
+
+      const report = await getLatestReconciliationReport(req.params.shop);
+
+      if (!report) {
+        return res.status(404).json({ error: 'No completed reconciliation for this store' });
+      }
+
+      res.json({
+        shop: req.params.shop,
+        reportId: report.id,
+        checkedAt: report.finishedAt,
+        driftCount: report.driftCount,
+        threshold,
+        exceeded: report.driftCount > threshold,
+        categories: Object.fromEntries(DRIFT_CATEGORIES.map(category => [category, report[category]]))
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -1,141 +1,1264 @@
 // routes/sync.js
 // Product sync from Shopify -> Medusa
 
+import { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import { runBulkQuery } from '../lib/shopifyBulk.js';
+import { createShopifyClient, getShopifyCostMetrics } from '../lib/shopifyGraphql.js';
+import { removeProductFromMedusa, removeVanishedProducts } from '../lib/productRemoval.js';
+import { syncStoreInventory } from '../lib/inventorySync.js';
+import { syncProductPriceLists } from '../lib/pricing.js';
+import {
+  startSyncRun,
+  recordSyncRunItems,
+  finishSyncRun,
+  listSyncRuns,
+  getSyncRun
+} from '../lib/syncRuns.js';
+import {
+  toMedusaVariant,
+  mapCreatedVariants,
+  syncProductVariants,
+  saveVariantMappings,
+  loadVariantMappings
+} from '../lib/variantSync.js';
+import { diffProduct, diffCollections, isEmptyDiff, renderSyncPreview } from '../lib/syncPreview.js';
+import { applyMappingRules, loadMappingRules } from '../lib/mappingRules.js';
+import { applyPriceRules, loadPriceRules } from '../lib/priceRules.js';
+import { buildProductMetadata, loadMetafieldAllowlist } from '../lib/productMetadata.js';
+import { assessRevision, moderateProduct, loadModerationSettings } from '../lib/moderation.js';
+import {
+  applyFieldOwnership,
+  loadOpenConflictFields,
+  buildFieldHashes,
+  loadFieldOwnership,
+  saveFieldOwnership,
+  validateFieldOwnership,
+  recordFieldConflicts,
+  listFieldConflicts,
+  resolveFieldConflict
+} from '../lib/fieldOwnership.js';
+import {
+  resolveMedusaHandle,
+  isHandleTakenError,
+  resolveVariantSkus,
+  recordConflicts,
+  claimMedusaHandle,
+  claimVariantSkus,
+  listConflicts
+} from '../lib/catalogIdentity.js';
+import {
+  loadCollectionMappings,
+  syncStoreCollections,
+  syncProductCollections,
+  resolveProductCategory
+} from '../lib/collectionSync.js';
+import { parsePagination } from '../lib/pagination.js';
 
 const prisma = new PrismaClient();
 
-// Fetch all products from Shopify for a store
-async function fetchShopifyProducts(shop, shopify) {
-  console.log(`📦 Fetching products from Shopify store: ${shop}`);
-  
-  const query = `{
-    products(first: 250) {
+// Page sizes keep each query under Shopify's 1000-point single query cost limit
+const PRODUCTS_PAGE_SIZE = 20;
+const VARIANTS_PAGE_SIZE = 20;
+const IMAGES_PAGE_SIZE = 10;
+const COLLECTIONS_PAGE_SIZE = 5;
+const METAFIELDS_PAGE_SIZE = 10;
+const NESTED_PAGE_SIZE = 100;
+const STORE_COLLECTIONS_PAGE_SIZE = 250;
+const LOCATIONS_PAGE_SIZE = 50;
+const INVENTORY_LEVELS_PAGE_SIZE = 100;
+const PRODUCT_INDEX_PAGE_SIZE = 250;
+
+// Bulk results are handed to the sync loop in pages of this size
+const BULK_PAGE_SIZE = 50;
+
+// Catalogs at or above this size use Bulk Operations when the store's mode is "auto"
+const BULK_SYNC_THRESHOLD = parseInt(process.env.BULK_SYNC_THRESHOLD || '1000', 10);
+
+const VARIANT_FIELDS = `
+  id
+  title
+  price
+  compareAtPrice
+  sku
+  weight
+  weightUnit
+  inventoryItem {
+    id
+  }
+`;
+
+const IMAGE_FIELDS = `
+  id
+  url
+  altText
+`;
+
+const COLLECTION_FIELDS = `
+  id
+  handle
+  title
+`;
+
+const METAFIELD_FIELDS = `
+  id
+  namespace
+  key
+  type
+  value
+`;
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  description
+  handle
+  vendor
+  productType
+  tags
+  status
+  seo {
+    title
+    description
+  }
+  options {
+    name
+    values
+  }
+  variants(first: ${VARIANTS_PAGE_SIZE}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${VARIANT_FIELDS}}
+    }
+  }
+  images(first: ${IMAGES_PAGE_SIZE}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${IMAGE_FIELDS}}
+    }
+  }
+  collections(first: ${COLLECTIONS_PAGE_SIZE}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${COLLECTION_FIELDS}}
+    }
+  }
+  metafields(first: ${METAFIELDS_PAGE_SIZE}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${METAFIELD_FIELDS}}
+    }
+  }
+`;
+
+const PRODUCTS_QUERY = `query ($first: Int!, $after: String, $query: String) {
+  products(first: $first, after: $after, query: $query) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${PRODUCT_FIELDS}}
+    }
+  }
+}`;
+
+const PRODUCT_QUERY = `query ($id: ID!) {
+  product(id: $id) {${PRODUCT_FIELDS}}
+}`;
+
+const PRODUCT_VARIANTS_QUERY = `query ($id: ID!, $first: Int!, $after: String) {
+  product(id: $id) {
+    variants(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
       edges {
-        node {
-          id
-          title
-          description
-          handle
-          vendor
-          variants(first: 100) {
-            edges {
-              node {
-                id
-                title
-                price
-                compareAtPrice
-                sku
-                weight
-                weightUnit
+        node {${VARIANT_FIELDS}}
+      }
+    }
+  }
+}`;
+
+const PRODUCT_IMAGES_QUERY = `query ($id: ID!, $first: Int!, $after: String) {
+  product(id: $id) {
+    images(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {${IMAGE_FIELDS}}
+      }
+    }
+  }
+}`;
+
+const PRODUCT_COLLECTIONS_QUERY = `query ($id: ID!, $first: Int!, $after: String) {
+  product(id: $id) {
+    collections(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {${COLLECTION_FIELDS}}
+      }
+    }
+  }
+}`;
+
+const PRODUCT_METAFIELDS_QUERY = `query ($id: ID!, $first: Int!, $after: String) {
+  product(id: $id) {
+    metafields(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {${METAFIELD_FIELDS}}
+      }
+    }
+  }
+}`;
+
+// Custom and smart collections alike
+const COLLECTIONS_QUERY = `query ($first: Int!, $after: String) {
+  collections(first: $first, after: $after) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {${COLLECTION_FIELDS}}
+    }
+  }
+}`;
+
+// Store currency and the markets that may price products differently
+const PRICING_CONTEXT_QUERY = `{
+  shop {
+    currencyCode
+  }
+  markets(first: 50) {
+    edges {
+      node {
+        id
+        name
+        enabled
+        primary
+        currencySettings {
+          baseCurrency {
+            currencyCode
+          }
+        }
+        regions(first: 1) {
+          edges {
+            node {
+              ... on MarketRegionCountry {
+                code
               }
             }
           }
-          images(first: 5) {
-            edges {
-              node {
-                url
-                altText
-              }
+        }
+      }
+    }
+  }
+}`;
+
+// One aliased contextualPricing field per market: market0, market1, ...
+const buildMarketPricingFields = (markets) => markets.map((market, index) => `
+  market${index}: contextualPricing(context: { country: ${market.countryCode} }) {
+    price {
+      amount
+      currencyCode
+    }
+    compareAtPrice {
+      amount
+      currencyCode
+    }
+  }`).join('');
+
+const buildVariantMarketPricingQuery = (markets) => `query ($id: ID!, $first: Int!, $after: String) {
+  product(id: $id) {
+    variants(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          id${buildMarketPricingFields(markets)}
+        }
+      }
+    }
+  }
+}`;
+
+const LOCATIONS_QUERY = `query ($first: Int!, $after: String) {
+  locations(first: $first, after: $after) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        id
+        name
+      }
+    }
+  }
+}`;
+
+const LOCATION_INVENTORY_QUERY = `query ($id: ID!, $first: Int!, $after: String) {
+  location(id: $id) {
+    inventoryLevels(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          item {
+            id
+            variant {
+              id
             }
           }
+          quantities(names: ["available"]) {
+            quantity
+          }
+          updatedAt
         }
       }
     }
-  }`;
+  }
+}`;
+
+// Just enough of every product to audit mappings against
+const PRODUCT_INDEX_QUERY = `query ($first: Int!, $after: String) {
+  products(first: $first, after: $after) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        id
+        title
+        status
+        updatedAt
+      }
+    }
+  }
+}`;
+
+// Follow a product's nested connection (variants, images, collections or metafields) until exhausted
+async function fetchRemainingEdges(client, query, field, productId, connection) {
+  const edges = [...connection.edges];
+  let { hasNextPage, endCursor } = connection.pageInfo;
+
+  while (hasNextPage) {
+    const data = await client.request(query, {
+      id: productId,
+      first: NESTED_PAGE_SIZE,
+      after: endCursor
+    });
+    const page = data.product[field];
+    edges.push(...page.edges);
+    ({ hasNextPage, endCursor } = page.pageInfo);
+  }
+
+  return { edges };
+}
+
+// Replace a variant node's market aliases with a marketPricing list of
+// { marketId, currencyCode, price, compareAtPrice }
+function readMarketPricing(node, markets) {
+  const variant = { ...node, marketPricing: [] };
+
+  markets.forEach((market, index) => {
+    const pricing = variant[`market${index}`];
+    delete variant[`market${index}`];
+    if (!pricing?.price) return;
+
+    variant.marketPricing.push({
+      marketId: market.id,
+      currencyCode: pricing.price.currencyCode,
+      price: parseFloat(pricing.price.amount),
+      compareAtPrice: pricing.compareAtPrice ? parseFloat(pricing.compareAtPrice.amount) : null
+    });
+  });
+
+  return variant;
+}
+
+// Attach each market's contextual prices to a fetched product's variants
+async function addMarketPricing(client, product, markets) {
+  if (markets.length === 0) return product;
+
+  const { edges } = await fetchRemainingEdges(client, buildVariantMarketPricingQuery(markets), 'variants', product.id, {
+    edges: [],
+    pageInfo: { hasNextPage: true, endCursor: null }
+  });
+  const pricingByVariant = new Map(edges.map(({ node }) => [node.id, readMarketPricing(node, markets).marketPricing]));
+
+  return {
+    ...product,
+    variants: {
+      edges: product.variants.edges.map(({ node }) => ({
+        node: { ...node, marketPricing: pricingByVariant.get(node.id) || [] }
+      }))
+    }
+  };
+}
+
+// Fill in the variants, images, collections and metafields beyond the first
+// page of a fetched product, plus its market prices when the store has markets
+async function completeProduct(client, node, markets = []) {
+  return addMarketPricing(client, {
+    ...node,
+    variants: await fetchRemainingEdges(client, PRODUCT_VARIANTS_QUERY, 'variants', node.id, node.variants),
+    images: await fetchRemainingEdges(client, PRODUCT_IMAGES_QUERY, 'images', node.id, node.images),
+    collections: await fetchRemainingEdges(client, PRODUCT_COLLECTIONS_QUERY, 'collections', node.id, node.collections),
+    metafields: await fetchRemainingEdges(client, PRODUCT_METAFIELDS_QUERY, 'metafields', node.id, node.metafields)
+  }, markets);
+}
+
+// Fetch all products from Shopify for a store, yielding one page at a time
+// options.query: Shopify search syntax filter, e.g. "updated_at:>'2024-01-01T00:00:00Z'"
+// options.markets: markets to fetch contextual prices for (see fetchShopifyPricingContext)
+async function* fetchShopifyProducts(shop, shopify, options = {}) {
+  console.log(`📦 Fetching products from Shopify store: ${shop}`);
+
+  try {
+    const client = createShopifyClient(shopify, shop);
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await client.request(PRODUCTS_QUERY, {
+        first: PRODUCTS_PAGE_SIZE,
+        after,
+        query: options.query || null
+      });
+
+      const page = [];
+      for (const { node } of data.products.edges) {
+        page.push(await completeProduct(client, node, options.markets));
+      }
+
+      yield page;
+
+      ({ hasNextPage, endCursor: after } = data.products.pageInfo);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify products: ${error.message}`);
+    throw error;
+  }
+}
 
+// Fetch a single product from Shopify, or null if it no longer exists
+async function fetchShopifyProduct(shop, shopify, productId, options = {}) {
   try {
-    const client = shopify.clients.graphqlProxy({shop});
-    const response = await client.query({data: query});
+    const client = createShopifyClient(shopify, shop);
+    const data = await client.request(PRODUCT_QUERY, { id: productId });
     
-    if (response.body.errors) {
-      throw new Error(JSON.stringify(response.body.errors));
+    return data.product ? await completeProduct(client, data.product, options.markets) : null;
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify product ${productId}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Fetch the store currency and its enabled secondary markets as
+// { currencyCode, markets: [{ id, name, currencyCode, countryCode }] }.
+// A market's prices are read in the context of its first country.
+async function fetchShopifyPricingContext(shop, shopify) {
+  try {
+    const client = createShopifyClient(shopify, shop);
+    const data = await client.request(PRICING_CONTEXT_QUERY);
+
+    const markets = data.markets.edges
+      .map(edge => edge.node)
+      .filter(market => market.enabled && !market.primary)
+      .map(market => ({
+        id: market.id,
+        name: market.name,
+        currencyCode: market.currencySettings.baseCurrency.currencyCode,
+        countryCode: market.regions.edges[0]?.node.code
+      }))
+      .filter(market => market.countryCode);
+
+    return { currencyCode: data.shop.currencyCode, markets };
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify pricing context: ${error.message}`);
+    throw error;
+  }
+}
+
+// Fetch every collection in a store
+async function fetchShopifyCollections(shop, shopify) {
+  try {
+    const client = createShopifyClient(shopify, shop);
+    const collections = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await client.request(COLLECTIONS_QUERY, {
+        first: STORE_COLLECTIONS_PAGE_SIZE,
+        after
+      });
+      collections.push(...data.collections.edges.map(edge => edge.node));
+      ({ hasNextPage, endCursor: after } = data.collections.pageInfo);
     }
-    
-    return response.body.data.products.edges.map(edge => edge.node);
+
+    return collections;
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify collections: ${error.message}`);
+    throw error;
+  }
+}
+
+// Fetch one page of a store's product index: { products, pageInfo } with the
+// ID, title, status and updatedAt of each product
+async function fetchShopifyProductPage(shop, shopify, { first = 50, after = null } = {}) {
+  try {
+    const client = createShopifyClient(shopify, shop);
+    const data = await client.request(PRODUCT_INDEX_QUERY, {
+      first: Math.min(first, PRODUCT_INDEX_PAGE_SIZE),
+      after
+    });
+
+    return {
+      products: data.products.edges.map(edge => edge.node),
+      pageInfo: data.products.pageInfo
+    };
   } catch (error) {
     console.error(`❌ Failed to fetch Shopify products: ${error.message}`);
     throw error;
   }
 }
 
-// Transform Shopify product to Medusa format
-function transformToMedusaFormat(shopifyProduct, storeName) {
+// Fetch the ID, title, status and updatedAt of every product in a store
+async function fetchShopifyProductIndex(shop, shopify) {
+  try {
+    const client = createShopifyClient(shopify, shop);
+    const products = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await client.request(PRODUCT_INDEX_QUERY, {
+        first: PRODUCT_INDEX_PAGE_SIZE,
+        after
+      });
+      products.push(...data.products.edges.map(edge => edge.node));
+      ({ hasNextPage, endCursor: after } = data.products.pageInfo);
+    }
+
+    return products;
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify product index: ${error.message}`);
+    throw error;
+  }
+}
+
+// Fetch the inventory levels of every store location, yielding one page at a
+// time as { inventoryItemId, shopifyVariantId, locationId, locationName, available, updatedAt }
+async function* fetchShopifyInventoryLevels(shop, shopify) {
+  console.log(`📦 Fetching inventory levels from Shopify store: ${shop}`);
+
+  try {
+    const client = createShopifyClient(shopify, shop);
+    const locations = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await client.request(LOCATIONS_QUERY, { first: LOCATIONS_PAGE_SIZE, after });
+      locations.push(...data.locations.edges.map(edge => edge.node));
+      ({ hasNextPage, endCursor: after } = data.locations.pageInfo);
+    }
+
+    for (const location of locations) {
+      after = null;
+      hasNextPage = true;
+
+      while (hasNextPage) {
+        const data = await client.request(LOCATION_INVENTORY_QUERY, {
+          id: location.id,
+          first: INVENTORY_LEVELS_PAGE_SIZE,
+          after
+        });
+        const { edges, pageInfo } = data.location.inventoryLevels;
+
+        yield edges.map(({ node }) => ({
+          inventoryItemId: node.item.id,
+          shopifyVariantId: node.item.variant?.id || null,
+          locationId: location.id,
+          locationName: location.name,
+          available: node.quantities[0]?.quantity ?? null,
+          updatedAt: node.updatedAt
+        }));
+
+        ({ hasNextPage, endCursor: after } = pageInfo);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify inventory levels: ${error.message}`);
+    throw error;
+  }
+}
+
+const buildBulkProductsQuery = (search, markets = []) => `{
+  products${search ? `(query: ${JSON.stringify(search)})` : ''} {
+    edges {
+      node {
+        id
+        title
+        description
+        handle
+        vendor
+        productType
+        tags
+        status
+        seo {
+          title
+          description
+        }
+        options {
+          name
+          values
+        }
+        variants {
+          edges {
+            node {${VARIANT_FIELDS}${buildMarketPricingFields(markets)}
+            }
+          }
+        }
+        images {
+          edges {
+            node {${IMAGE_FIELDS}}
+          }
+        }
+        collections {
+          edges {
+            node {${COLLECTION_FIELDS}}
+          }
+        }
+        metafields {
+          edges {
+            node {${METAFIELD_FIELDS}}
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const PRODUCTS_COUNT_QUERY = `query ($query: String) {
+  productsCount(query: $query) {
+    count
+  }
+}`;
+
+// Fetch all products through a Bulk Operation, yielding pages in the same
+// shape as fetchShopifyProducts. Result lines are flat: each product line is
+// followed by its variant, image, collection and metafield lines, linked back by __parentId.
+async function* fetchShopifyProductsBulk(shop, shopify, options = {}) {
+  console.log(`📦 Fetching products from Shopify store via bulk operation: ${shop}`);
+
+  try {
+    let page = [];
+    let current = null;
+
+    const markets = options.markets || [];
+    
+    for await (const line of runBulkQuery(shop, shopify, buildBulkProductsQuery(options.query, markets))) {
+      const { __parentId, ...node } = line;
+
+      if (!__parentId) {
+        if (current) page.push(current);
+        if (page.length >= BULK_PAGE_SIZE) {
+          yield page;
+          page = [];
+        }
+        current = {
+          ...node,
+          variants: { edges: [] },
+          images: { edges: [] },
+          collections: { edges: [] },
+          metafields: { edges: [] }
+        };
+        continue;
+      }
+
+      if (!current || current.id !== __parentId) {
+        console.warn(`⚠️ Bulk result line ${node.id} arrived out of order, skipping`);
+        continue;
+      }
+
+      if (node.id.startsWith('gid://shopify/ProductVariant/')) {
+        current.variants.edges.push({ node: readMarketPricing(node, markets) });
+      } else if (node.id.startsWith('gid://shopify/ProductImage/')) {
+        current.images.edges.push({ node });
+      } else if (node.id.startsWith('gid://shopify/Collection/')) {
+        current.collections.edges.push({ node });
+      } else if (node.id.startsWith('gid://shopify/Metafield/')) {
+        current.metafields.edges.push({ node });
+      }
+    }
+
+    if (current) page.push(current);
+    if (page.length > 0) yield page;
+  } catch (error) {
+    console.error(`❌ Failed to fetch Shopify products in bulk: ${error.message}`);
+    throw error;
+  }
+}
+
+// Pick "paginated" or "bulk" for a sync run. An explicit mode wins, then the
+// store's configured mode; "auto" decides by the number of matching products.
+async function resolveSyncMode(shop, shopify, requestedMode, search) {
+  let mode = requestedMode;
+  if (!mode) {
+    const store = await prisma.store.findUnique({ where: { shop } });
+    mode = store?.syncMode || 'auto';
+  }
+
+  if (mode !== 'auto') return mode;
+
+  const client = createShopifyClient(shopify, shop);
+  const data = await client.request(PRODUCTS_COUNT_QUERY, { query: search || null });
+  return data.productsCount.count >= BULK_SYNC_THRESHOLD ? 'bulk' : 'paginated';
+}
+
+// Per-store settings the transform and sync steps need, loaded once per run
+async function loadSyncContext(shop, shopify) {
   return {
+    mappingRules: await loadMappingRules(shop),
+    priceRules: await loadPriceRules(shop),
+    metafieldAllowlist: await loadMetafieldAllowlist(shop),
+    moderation: await loadModerationSettings(shop),
+    fieldOwnership: await loadFieldOwnership(shop),
+    pricing: await fetchShopifyPricingContext(shop, shopify),
+    collections: await loadCollectionMappings(shop),
+    categories: new Map()
+  };
+}
+
+// Transform Shopify product to Medusa format
+// Returns null when the store's mapping rules exclude the product. Price rules
+// change the variant prices, so changing them changes the sync hash and the
+// next sync recomputes every affected product.
+function transformToMedusaFormat(shopifyProduct, storeName, context = {}) {
+  const currencyCode = context.pricing?.currencyCode || null;
+  const transformed = {
     title: shopifyProduct.title,
     description: shopifyProduct.description || '',
     handle: shopifyProduct.handle,
     vendor: shopifyProduct.vendor,
+    productType: shopifyProduct.productType || '',
     storeName: storeName,
+    metadata: buildProductMetadata(shopifyProduct, context.metafieldAllowlist),
+    collections: (shopifyProduct.collections?.edges || []).map(edge => edge.node),
     images: shopifyProduct.images.edges.map(edge => ({
       url: edge.node.url,
       alt: edge.node.altText || ''
     })),
     variants: shopifyProduct.variants.edges.map(edge => ({
+      shopifyVariantId: edge.node.id,
       title: edge.node.title,
       sku: edge.node.sku,
+      currencyCode,
       price: parseFloat(edge.node.price),
       compareAtPrice: edge.node.compareAtPrice ? parseFloat(edge.node.compareAtPrice) : null,
+      marketPrices: edge.node.marketPricing || [],
       weight: edge.node.weight,
-      weightUnit: edge.node.weightUnit
+      weightUnit: edge.node.weightUnit,
+      inventoryItemId: edge.node.inventoryItem?.id || null
     }))
   };
+
+  const mapped = context.mappingRules
+    ? applyMappingRules(context.mappingRules, shopifyProduct, transformed)
+    : transformed;
+
+  // Marketplace pricing runs last, on the prices mapping rules produced
+  return mapped && context.priceRules
+    ? applyPriceRules(context.priceRules, shopifyProduct, mapped)
+    : mapped;
+}
+
+// Build the Medusa product payload for a transformed Shopify product
+function buildMedusaProductPayload(product, shop) {
+  return {
+    title: product.title,
+    description: product.description,
+    handle: product.handle,
+    vendor: product.vendor,
+    status: 'published',
+    tags: [`store:${shop}`, 'synced-from-shopify'],
+    images: product.images,
+    categories: product.categoryId ? [{ id: product.categoryId }] : [],
+    metadata: product.metadata,
+    variants: product.variants.map(toMedusaVariant)
+  };
+}
+
+// Fingerprint of the payload pushed to Medusa, used to skip unchanged products.
+// Sale prices live on price lists, outside the payload, so the variants'
+// source prices are part of it too.
+function hashProductPayload(payload, variants = []) {
+  const prices = variants.map(({ price, compareAtPrice, marketPrices }) => ({ price, compareAtPrice, marketPrices }));
+  return crypto.createHash('sha256').update(JSON.stringify({ payload, prices })).digest('hex');
+}
+
+// Look up the existing mapping for a Shopify product
+async function findProductMapping(shopifyId, shop) {
+  return prisma.product.findUnique({
+    where: {
+      shopifyProductId_storeName: {
+        shopifyProductId: shopifyId,
+        storeName: shop
+      }
+    }
+  });
 }
 
-// Create/update product in Medusa
-async function syncProductToMedusa(medusaClient, product, shop) {
+// Create or update product in Medusa. Updates leave alone the fields
+// `ownership` gives to Medusa edits.
+// Returns { action, medusaId, syncHash, variantMappings, fieldHashes, fieldConflicts }
+// where action is "created", "updated" or "unchanged"
+async function syncProductToMedusa(medusaClient, product, shopifyId, shop, ownership = {}) {
   try {
-    console.log(`🔄 Syncing product: ${product.title}`);
-    
-    // Create product in Medusa
-    const medusaProduct = await medusaClient.admin.products.create({
-      title: product.title,
-      description: product.description,
-      handle: product.handle,
-      vendor: product.vendor,
-      tags: [`store:${shop}`, 'synced-from-shopify'],
-      images: product.images,
-      variants: product.variants
-    });
+    const payload = buildMedusaProductPayload(product, shop);
+    const syncHash = hashProductPayload(payload, product.variants);
+    const mapping = await findProductMapping(shopifyId, shop);
+    
+    if (mapping) {
+      const existing = await medusaClient.findProduct(mapping.medusaProductId);
+      
+      if (existing) {
+        // Archived products are republished even when their content is unchanged
+        if (mapping.syncHash === syncHash && mapping.status === 'active') {
+          return { action: 'unchanged', medusaId: mapping.medusaProductId, syncHash };
+        }
+        
+        console.log(`🔄 Updating product: ${product.title}`);
+        
+        // Variants are diffed individually: this endpoint would replace the whole set
+        const { variants, ...productFields } = payload;
+        const { fields, withheld, conflicts } = applyFieldOwnership(
+          ownership, productFields, existing.product, mapping.fieldHashes ? JSON.parse(mapping.fieldHashes) : null,
+          await loadOpenConflictFields(shop, shopifyId)
+        );
+        if (withheld.length > 0) {
+          console.log(`🔒 Keeping Medusa's ${withheld.join(', ')} for ${product.title}`);
+        }
+        const updated = await medusaClient.updateProduct(mapping.medusaProductId, fields);
+        const variantMappings = await syncProductVariants(medusaClient, existing.product, shopifyId, product.variants);
+        
+        return {
+          action: 'updated',
+          medusaId: mapping.medusaProductId,
+          syncHash,
+          variantMappings,
+          fieldHashes: buildFieldHashes(productFields, updated.product, withheld),
+          fieldConflicts: conflicts
+        };
+      }
+      
+      console.warn(`⚠️ Medusa product ${mapping.medusaProductId} was deleted, recreating: ${product.title}`);
+    }
+    
+    console.log(`🆕 Creating product: ${product.title}`);
+    const medusaProduct = await medusaClient.createProduct(payload);
+    const variantMappings = mapCreatedVariants(medusaProduct.product, product.variants);
     
-    return medusaProduct.product.id;
+    return {
+      action: 'created',
+      medusaId: medusaProduct.product.id,
+      syncHash,
+      variantMappings,
+      fieldHashes: buildFieldHashes(payload, medusaProduct.product),
+      fieldConflicts: []
+    };
   } catch (error) {
     console.error(`❌ Failed to sync product to Medusa: ${error.message}`);
     throw error;
   }
 }
 
-// Save product mapping to database
-async function saveProductMapping(shopifyId, medusaId, shop) {
+// Save product mapping, and its variant mappings, to database
+async function saveProductMapping(shopifyId, medusaId, shop, syncHash, variantMappings = [], medusaHandle = null, fieldHashes = null) {
   try {
-    const mapping = await prisma.product.upsert({
-      where: {
-        shopifyProductId_storeName: {
+    return await prisma.$transaction(async (tx) => {
+      const mapping = await tx.product.upsert({
+        where: {
+          shopifyProductId_storeName: {
+            shopifyProductId: shopifyId,
+            storeName: shop
+          }
+        },
+        update: {
+          medusaProductId: medusaId,
+          syncHash,
+          medusaHandle,
+          ...(fieldHashes && { fieldHashes: JSON.stringify(fieldHashes) }),
+          status: 'active',
+          lastSyncedAt: new Date(),
+          updatedAt: new Date()
+        },
+        create: {
           shopifyProductId: shopifyId,
-          storeName: shop
+          medusaProductId: medusaId,
+          storeName: shop,
+          syncHash,
+          medusaHandle,
+          fieldHashes: fieldHashes && JSON.stringify(fieldHashes),
+          lastSyncedAt: new Date()
         }
-      },
-      update: {
-        medusaProductId: medusaId,
-        updatedAt: new Date()
-      },
-      create: {
-        shopifyProductId: shopifyId,
-        medusaProductId: medusaId,
-        storeName: shop
-      }
+      });
+      
+      await saveVariantMappings(tx, shopifyId, variantMappings);
+      
+      return mapping;
     });
-    
-    return mapping;
   } catch (error) {
     console.error(`❌ Failed to save product mapping: ${error.message}`);
     throw error;
   }
 }
 
+// Swap a transformed product's handle and SKUs for their store-scoped Medusa
+// values. Returns the conflicts that had to be resolved.
+async function scopeCatalogIdentity(shop, shopifyProductId, transformed) {
+  const { handle, conflict } = await resolveMedusaHandle(shop, shopifyProductId, transformed.handle);
+  const { variants, conflicts } = await resolveVariantSkus(shop, shopifyProductId, transformed.variants);
+
+  transformed.shopifyHandle = transformed.handle;
+  transformed.handle = handle;
+  transformed.variants = variants;
+
+  return conflict ? [conflict, ...conflicts] : conflicts;
+}
+
+// Create or update a product in Medusa, moving to the next free handle when
+// Medusa rejects the one we picked (another store got there first)
+async function syncScopedProductToMedusa(medusaClient, transformed, shopifyId, shop, conflicts, ownership) {
+  const taken = new Set();
+
+  for (;;) {
+    try {
+      return await syncProductToMedusa(medusaClient, transformed, shopifyId, shop, ownership);
+    } catch (error) {
+      if (!isHandleTakenError(error)) throw error;
+
+      taken.add(transformed.handle);
+      const { handle, conflict } = await resolveMedusaHandle(shop, shopifyId, transformed.shopifyHandle, taken);
+      console.warn(`⚠️ Handle ${transformed.handle} is taken in Medusa, retrying as ${handle}`);
+      transformed.handle = handle;
+      if (conflict) conflicts.push({ ...conflict, conflictsWith: conflict.conflictsWith || 'existing Medusa product' });
+    }
+  }
+}
+
+// Push a transformed product to Medusa and record its mappings
+// Returns "created", "updated" or "unchanged"
+async function publishProduct(shop, medusaClient, shopifyId, transformed, context) {
+  transformed.categoryId = await resolveProductCategory(medusaClient, transformed.productType, context.categories);
+  
+  const conflicts = await scopeCatalogIdentity(shop, shopifyId, transformed);
+  const { action, medusaId, syncHash, variantMappings, fieldHashes, fieldConflicts } = await syncScopedProductToMedusa(
+    medusaClient, transformed, shopifyId, shop, conflicts, context.fieldOwnership
+  );
+  await recordConflicts(shop, shopifyId, conflicts, context.runId);
+  
+  if (action === 'unchanged') {
+    // Mappings from before handles and SKUs were tracked claim theirs here
+    await claimMedusaHandle(shop, shopifyId, transformed.handle);
+    await claimVariantSkus(shopifyId, transformed.variants);
+    await prisma.product.updateMany({
+      where: { shopifyProductId: shopifyId, storeName: shop },
+      data: { lastSyncedAt: new Date() }
+    });
+  } else {
+    // Before the mapping is saved, so a failure here is retried on the next sync
+    await syncProductPriceLists(medusaClient, shop, medusaId, transformed.variants, variantMappings, context.pricing);
+    await saveProductMapping(shopifyId, medusaId, shop, syncHash, variantMappings, transformed.handle, fieldHashes);
+    await recordFieldConflicts(shop, shopifyId, medusaId, fieldConflicts, context.runId);
+  }
+  
+  // Collection membership lives outside the product payload, so it is checked
+  // even when the product itself is unchanged
+  const membershipChanged = await syncProductCollections(
+    medusaClient, shop, shopifyId, medusaId, transformed.collections, context.collections
+  );
+  
+  return action === 'unchanged' && membershipChanged ? 'updated' : action;
+}
+
+// Sync one fetched Shopify product to Medusa and record its mappings
+// Returns "created", "updated", "unchanged", "removed" or "held" (waiting on moderation)
+async function syncProduct(shop, medusaClient, product, context) {
+  // Draft and archived products come off the storefront
+  if (product.status && product.status !== 'ACTIVE') {
+    const action = await removeProductFromMedusa(medusaClient, shop, product.id, 'unpublished');
+    return action === 'unchanged' ? 'unchanged' : 'removed';
+  }
+  
+  const transformed = transformToMedusaFormat(product, shop, context);
+  
+  // So do products the store's mapping rules filter out
+  if (!transformed) {
+    const action = await removeProductFromMedusa(medusaClient, shop, product.id, 'excluded by mapping rules');
+    return action === 'unchanged' ? 'unchanged' : 'removed';
+  }
+  
+  // The approved version stays live in Medusa while a newer one waits for review
+  if (context.moderation?.enabled && await moderateProduct(shop, product.id, transformed, context.moderation, context.runId)) {
+    return 'held';
+  }
+  
+  return publishProduct(shop, medusaClient, product.id, transformed, context);
+}
+
+// Push an approved moderation revision to Medusa, recorded as its own sync run
+// Returns "created", "updated" or "unchanged"
+async function publishProductRevision(shop, shopify, medusaClient, revision) {
+  const run = await startSyncRun(shop, { trigger: 'moderation', mode: 'single' });
+  const item = { shopifyProductId: revision.shopifyProductId, title: revision.title };
+  
+  try {
+    const context = { ...await loadSyncContext(shop, shopify), runId: run.id };
+    item.action = await publishProduct(shop, medusaClient, revision.shopifyProductId, revision.snapshot, context);
+    
+    await recordSyncRunItems(run.id, [item]);
+    await finishSyncRun(run.id, { total: 1, [item.action]: 1 });
+    
+    return item.action;
+  } catch (error) {
+    await recordSyncRunItems(run.id, [{ ...item, action: 'failed', error: error.message }]);
+    await finishSyncRun(run.id, { total: 1, failed: 1 }, error.message);
+    throw error;
+  }
+}
+
+// Sync a single Shopify product by ID, e.g. after a product webhook
+// options.trigger: recorded on the sync run (defaults to "webhook")
+async function syncShopifyProduct(shop, shopify, medusaClient, productId, options = {}) {
+  const run = await startSyncRun(shop, { trigger: options.trigger || 'webhook', mode: 'single' });
+  let title = null;
+  
+  try {
+    const context = { ...await loadSyncContext(shop, shopify), runId: run.id };
+    const product = await fetchShopifyProduct(shop, shopify, productId, { markets: context.pricing.markets });
+    let action;
+    
+    if (product) {
+      title = product.title;
+      action = await syncProduct(shop, medusaClient, product, context);
+    } else {
+      const removal = await removeProductFromMedusa(medusaClient, shop, productId, 'deleted');
+      action = removal === 'unchanged' ? 'unchanged' : 'removed';
+    }
+    
+    await recordSyncRunItems(run.id, [{ shopifyProductId: productId, title, action }]);
+    await finishSyncRun(run.id, { total: 1, [action]: 1 });
+    
+    return action;
+  } catch (error) {
+    await recordSyncRunItems(run.id, [{ shopifyProductId: productId, title, action: 'failed', error: error.message }]);
+    await finishSyncRun(run.id, { total: 1, failed: 1 }, error.message);
+    throw error;
+  }
+}
+
+// Last successful product sync watermark for a store
+async function getProductSyncWatermark(shop) {
+  const status = await prisma.syncStatus.findUnique({
+    where: {
+      storeName_resourceType: {
+        storeName: shop,
+        resourceType: 'products'
+      }
+    }
+  });
+  
+  return status?.lastSyncAt || null;
+}
+
+// Add one fetched product's would-be outcome to a sync preview
+async function previewProduct(shop, medusaClient, product, context, removeAction, preview) {
+  const mapping = await findProductMapping(product.id, shop);
+  const unpublished = product.status && product.status !== 'ACTIVE';
+  const transformed = unpublished ? null : transformToMedusaFormat(product, shop, context);
+  
+  if (!transformed) {
+    if (mapping && mapping.status !== 'deleted' && mapping.status !== removeAction) {
+      preview.deletions.push({
+        shopifyProductId: product.id,
+        medusaProductId: mapping.medusaProductId,
+        title: product.title,
+        action: removeAction,
+        reason: unpublished ? `${product.status.toLowerCase()} in Shopify` : 'excluded by mapping rules'
+      });
+    } else {
+      preview.unchanged++;
+    }
+    return;
+  }
+  
+  if (context.moderation?.enabled) {
+    const { decision, reason, changes } = await assessRevision(shop, product.id, transformed, context.moderation);
+    if (decision !== 'publish') {
+      preview.held.push({ shopifyProductId: product.id, title: product.title, reason, changes });
+      return;
+    }
+  }
+  
+  const conflicts = await scopeCatalogIdentity(shop, product.id, transformed);
+  preview.conflicts.push(...conflicts.map(conflict => ({ shopifyProductId: product.id, title: product.title, ...conflict })));
+  
+  const payload = buildMedusaProductPayload(transformed, shop);
+  const existing = mapping ? await medusaClient.findProduct(mapping.medusaProductId) : null;
+  
+  if (!existing) {
+    preview.creates.push({
+      shopifyProductId: product.id,
+      title: payload.title,
+      handle: payload.handle,
+      variantCount: payload.variants.length,
+      reason: mapping ? 'Medusa product was deleted' : null
+    });
+    return;
+  }
+  
+  // Fields owned by Medusa edits stay as they are, so they don't show as changes
+  const { withheld, conflicts: fieldConflicts } = applyFieldOwnership(
+    context.fieldOwnership, payload, existing.product, mapping.fieldHashes ? JSON.parse(mapping.fieldHashes) : null,
+    await loadOpenConflictFields(shop, product.id)
+  );
+  withheld.forEach(field => { payload[field] = existing.product[field]; });
+  preview.fieldConflicts.push(...fieldConflicts.map(conflict => ({ shopifyProductId: product.id, title: product.title, ...conflict })));
+  
+  const diff = diffProduct(payload, existing.product, transformed.variants, await loadVariantMappings(product.id));
+  diff.changes.push(...diffCollections(transformed.collections.map(collection => collection.id), mapping.collectionIds));
+  if (isEmptyDiff(diff)) {
+    preview.unchanged++;
+  } else {
+    preview.updates.push({
+      shopifyProductId: product.id,
+      medusaProductId: mapping.medusaProductId,
+      title: payload.title,
+      ...diff
+    });
+  }
+}
+
+// Work out what a sync would do, without writing to Medusa or the database.
+// Returns { creates, updates, deletions, unchanged, held, conflicts, fieldConflicts, errors }
+// with field-level changes
+async function previewShopifyStoreSync(shop, shopify, medusaClient, options = {}) {
+  const since = options.incremental ? await getProductSyncWatermark(shop) : null;
+  const search = since ? `updated_at:>'${since.toISOString()}'` : null;
+  
+  console.log(`\n🔍 Previewing ${since ? 'incremental' : 'full'} sync for store: ${shop}`);
+  
+  const store = await prisma.store.findUnique({ where: { shop } });
+  const removeAction = store?.removedProductAction === 'delete' ? 'deleted' : 'archived';
+  const context = await loadSyncContext(shop, shopify);
+  const preview = {
+    shop,
+    incremental: Boolean(since),
+    creates: [],
+    updates: [],
+    deletions: [],
+    unchanged: 0,
+    held: [],
+    conflicts: [],
+    fieldConflicts: [],
+    errors: []
+  };
+  const seenShopifyIds = new Set();
+  
+  const mode = await resolveSyncMode(shop, shopify, options.mode, search);
+  const pages = mode === 'bulk'
+    ? fetchShopifyProductsBulk(shop, shopify, { query: search, markets: context.pricing.markets })
+    : fetchShopifyProducts(shop, shopify, { query: search, markets: context.pricing.markets });
+  
+  for await (const products of pages) {
+    for (const product of products) {
+      seenShopifyIds.add(product.id);
+      try {
+        await previewProduct(shop, medusaClient, product, context, removeAction, preview);
+      } catch (error) {
+        preview.errors.push({ shopifyProductId: product.id, title: product.title, error: error.message });
+      }
+    }
+  }
+  
+  // Same vanished-product detection as a full sync
+  if (!since) {
+    const mappings = await prisma.product.findMany({ where: { storeName: shop, status: 'active' } });
+    for (const mapping of mappings) {
+      if (seenShopifyIds.has(mapping.shopifyProductId)) continue;
+      preview.deletions.push({
+        shopifyProductId: mapping.shopifyProductId,
+        medusaProductId: mapping.medusaProductId,
+        title: null,
+        action: removeAction,
+        reason: 'deleted in Shopify'
+      });
+    }
+  }
+  
+  console.log(`🔍 Preview: ${preview.creates.length} creates, ${preview.updates.length} updates, ` +
+    `${preview.deletions.length} removals, ${preview.unchanged} unchanged, ${preview.held.length} held for review`);
+  return preview;
+}
+
 // Main sync function
-async function syncShopifyStore(shop, shopify, medusaClient) {
-  console.log(`\n🚀 Starting full sync for store: ${shop}`);
+// options.mode: "paginated", "bulk" or "auto" (defaults to the store's syncMode)
+// options.incremental: only sync products updated since the last successful run
+// options.trigger: "manual", "webhook" or "scheduled", recorded on the sync run
+// options.dryRun: return a preview of the changes instead of syncing
+async function syncShopifyStore(shop, shopify, medusaClient, options = {}) {
+  if (options.dryRun) {
+    return previewShopifyStoreSync(shop, shopify, medusaClient, options);
+  }
+  
+  const startedAt = new Date();
+  const since = options.incremental ? await getProductSyncWatermark(shop) : null;
+  const search = since ? `updated_at:>'${since.toISOString()}'` : null;
+  
+  if (since) {
+    console.log(`\n🚀 Starting incremental sync for store: ${shop} (changes since ${since.toISOString()})`);
+  } else {
+    console.log(`\n🚀 Starting full sync for store: ${shop}`);
+  }
+  
+  const run = await startSyncRun(shop, {
+    trigger: options.trigger || 'manual',
+    mode: since ? 'incremental' : 'full'
+  });
   
   // Update sync status
   await prisma.syncStatus.upsert({
@@ -153,25 +1276,69 @@ async function syncShopifyStore(shop, shopify, medusaClient) {
     }
   });
 
-  let syncedCount = 0;
+  const counts = { created: 0, updated: 0, unchanged: 0, removed: 0, held: 0, failed: 0 };
+  const seenShopifyIds = new Set();
+  let totalCount = 0;
   try {
-    // Fetch products from Shopify
-    const products = await fetchShopifyProducts(shop, shopify);
-    console.log(`✅ Fetched ${products.length} products from Shopify`);
+    const context = { ...await loadSyncContext(shop, shopify), runId: run.id };
     
-    // Sync each product
-    for (const product of products) {
+    // Collections first, so renames and deletions land before membership changes
+    try {
+      await syncStoreCollections(medusaClient, shop, await fetchShopifyCollections(shop, shopify), context.collections);
+    } catch (error) {
+      // Products still sync; their collections are created on demand
+      console.error(`⚠️ Collection sync failed for ${shop}: ${error.message}`);
+    }
+    
+    const mode = await resolveSyncMode(shop, shopify, options.mode, search);
+    console.log(`🧭 Using ${mode} fetch mode`);
+    const pages = mode === 'bulk'
+      ? fetchShopifyProductsBulk(shop, shopify, { query: search, markets: context.pricing.markets })
+      : fetchShopifyProducts(shop, shopify, { query: search, markets: context.pricing.markets });
+
+    // Stream product pages from Shopify and sync each page as it arrives
+    for await (const products of pages) {
+      totalCount += products.length;
+      console.log(`✅ Fetched ${products.length} products from Shopify (${totalCount} so far)`);
+
+      const items = [];
+      for (const product of products) {
+        seenShopifyIds.add(product.id);
+        const item = { shopifyProductId: product.id, title: product.title };
+        try {
+          item.action = await syncProduct(shop, medusaClient, product, context);
+        } catch (error) {
+          item.action = 'failed';
+          item.error = error.message;
+          console.error(`⚠️ Skipped product ${product.title}: ${error.message}`);
+        }
+        counts[item.action]++;
+        items.push(item);
+      }
+      await recordSyncRunItems(run.id, items);
+    }
+    
+    // A full fetch sees every product, so active mappings it missed were deleted in Shopify
+    if (!since) {
+      const vanished = await removeVanishedProducts(medusaClient, shop, seenShopifyIds);
+      vanished.forEach(item => counts[item.action]++);
+      await recordSyncRunItems(run.id, vanished);
+    }
+    
+    // Full runs also load stock; webhooks keep it current in between
+    let inventory = null;
+    if (!since) {
       try {
-        const transformed = transformToMedusaFormat(product, shop);
-        const medusaId = await syncProductToMedusa(medusaClient, transformed, shop);
-        await saveProductMapping(product.id, medusaId, shop);
-        syncedCount++;
+        inventory = await syncStoreInventory(medusaClient, shop, fetchShopifyInventoryLevels(shop, shopify));
       } catch (error) {
-        console.error(`⚠️ Skipped product ${product.title}: ${error.message}`);
+        console.error(`⚠️ Inventory pass failed for ${shop}: ${error.message}`);
+        inventory = { error: error.message };
       }
     }
     
-    // Update sync status to completed
+    // Update sync status to completed. The watermark only advances when every
+    // product made it, and to the run's start so changes made mid-run are
+    // picked up by the next incremental sync.
     await prisma.syncStatus.update({
       where: {
         storeName_resourceType: {
@@ -179,14 +1346,26 @@ async function syncShopifyStore(shop, shopify, medusaClient) {
           resourceType: 'products'
         }
       },
-      data: {
-        status: 'completed',
-        lastSyncAt: new Date()
-      }
+      data: counts.failed === 0
+        ? { status: 'completed', lastSyncAt: startedAt, errorMessage: null }
+        : { status: 'completed', errorMessage: `${counts.failed} products failed to sync` }
     });
     
-    console.log(`✅ Sync complete! Successfully synced ${syncedCount}/${products.length} products`);
-    return { success: true, synced: syncedCount, total: products.length };
+    await finishSyncRun(run.id, { ...counts, total: totalCount });
+    
+    const syncedCount = Math.max(totalCount - counts.failed, 0);
+    console.log(`✅ Sync complete! Successfully synced ${syncedCount}/${totalCount} products ` +
+      `(${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+      `${counts.removed} removed, ${counts.held} held for review, ${counts.failed} failed)`);
+    return {
+      success: true,
+      runId: run.id,
+      incremental: Boolean(since),
+      ...counts,
+      synced: syncedCount,
+      total: totalCount,
+      inventory
+    };
   } catch (error) {
     // Update sync status to failed
     await prisma.syncStatus.update({
@@ -202,10 +1381,225 @@ async function syncShopifyStore(shop, shopify, medusaClient) {
       }
     });
     
+    await finishSyncRun(run.id, { ...counts, total: totalCount }, error.message);
+    
     console.error(`❌ Sync failed: ${error.message}`);
     throw error;
   }
 }
 
+// HTTP routes for sync history and previews, mounted at /sync
+export default function syncRoutes(shopify, medusaClient) {
+  const router = Router();
+
+  /**
+   * GET /sync/preview?shop=...
+   * Dry-run a sync and return the field-level diff. Options: incremental=true,
+   * mode=paginated|bulk, format=text for a readable report
+   */
+  router.get('/preview', async (req, res) => {
+    try {
+      const { shop, incremental, mode, format } = req.query;
+
+      if (!shop) {
+        return res.status(400).json({ error: 'shop is required' });
+      }
+
+      const preview = await syncShopifyStore(shop, shopify, medusaClient, {
+        dryRun: true,
+        incremental: incremental === 'true',
+        mode
+      });
+
+      if (format === 'text') {
+        return res.type('text/plain').send(renderSyncPreview(preview));
+      }
+
+      res.json(preview);
+    } catch (error) {
+      console.error(`❌ Error previewing sync: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /sync/runs
+   * List sync runs, newest first. Filters: shop, status
+   */
+  router.get('/runs', async (req, res) => {
+    try {
+      const { shop, status } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query);
+
+      const { runs, total } = await listSyncRuns({ shop, status, limit: take, offset: skip });
+
+      res.json({ runs, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /sync/conflicts
+   * Handle and SKU collisions resolved during syncs. Filters: shop, type, runId
+   */
+  router.get('/conflicts', async (req, res) => {
+    try {
+      const { shop, type, runId } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query, { max: 500 });
+
+      const { conflicts, total } = await listConflicts({ shop, type, runId, limit: take, offset: skip });
+
+      res.json({ conflicts, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /sync/field-ownership/:shop
+   * Who owns each product field: shopify, medusa or last-writer-wins
+   */
+  router.get('/field-ownership/:shop', async (req, res) => {
+    try {
+      res.json({ shop: req.params.shop, ownership: await loadFieldOwnership(req.params.shop) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /sync/field-ownership/:shop
+   * Body: { title: "medusa", description: "last-writer-wins" }. Fields left
+   * out keep their current owner.
+   */
+  router.put('/field-ownership/:shop', async (req, res) => {
+    try {
+      const errors = validateFieldOwnership(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid field ownership', errors });
+      }
+
+      const ownership = await saveFieldOwnership(req.params.shop, req.body);
+      console.log(`🔒 Field ownership updated for ${req.params.shop}`);
+
+      res.json({ shop: req.params.shop, ownership });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /sync/field-conflicts
+   * Fields edited in both Shopify and Medusa since their last sync.
+   * Filters: shop, status (open, resolved), field
+   */
+  router.get('/field-conflicts', async (req, res) => {
+    try {
+      const { shop, status, field } = req.query;
+      const { limit: take, offset: skip } = parsePagination(req.query, { max: 500 });
+
+      const { conflicts, total } = await listFieldConflicts({ shop, status, field, limit: take, offset: skip });
+
+      res.json({ conflicts, total, limit: take, offset: skip });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /sync/field-conflicts/:id/resolve
+   * Body: { use: "shopify" | "medusa", resolvedBy }. "shopify" pushes the
+   * Shopify value to Medusa; "medusa" keeps the Medusa edit
+   */
+  router.post('/field-conflicts/:id/resolve', async (req, res) => {
+    try {
+      const { use, resolvedBy } = req.body || {};
+
+      if (use !== 'shopify' && use !== 'medusa') {
+        return res.status(400).json({ error: 'use must be "shopify" or "medusa"' });
+      }
+
+      const conflict = await resolveFieldConflict(medusaClient, req.params.id, use, resolvedBy);
+
+      if (!conflict) {
+        return res.status(404).json({ error: 'Open conflict not found' });
+      }
+
+      console.log(`🔒 Resolved ${conflict.field} conflict on ${conflict.shopifyProductId} in favour of ${use}`);
+      res.json({ conflict });
+    } catch (error) {
+      console.error(`❌ Error resolving field conflict: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /sync/shopify-cost
+   * Shopify GraphQL cost metrics since startup: bucket level, cost spent,
+   * throttles and retries. ?shop= for one store
+   */
+  router.get('/shopify-cost', (req, res) => {
+    const { shop } = req.query;
+
+    if (shop) {
+      const metrics = getShopifyCostMetrics(shop);
+      return metrics
+        ? res.json(metrics)
+        : res.status(404).json({ error: 'No Shopify queries made for this shop yet' });
+    }
+
+    res.json({ shops: getShopifyCostMetrics() });
+  });
+
+  /**
+   * GET /sync/runs/:id
+   * A sync run with its per-product outcomes. Filter items with ?action=failed
+   */
+  router.get('/runs/:id', async (req, res) => {
+    try {
+      const { action } = req.query;
+
+      const run = await getSyncRun(req.params.id, {
+        action,
+        ...parsePagination(req.query, { limit: 500, max: 1000 })
+      });
+
+      if (!run) {
+        return res.status(404).json({ error: 'Sync run not found' });
+      }
+
+      res.json(run);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
 // Export for use in server.js
-export { syncShopifyStore, fetchShopifyProducts };
+export {
+  syncShopifyStore,
+  loadSyncContext,
+  transformToMedusaFormat,
+  syncShopifyProduct,
+  publishProductRevision,
+  fetchShopifyProducts,
+  fetchShopifyProduct,
+  fetchShopifyProductsBulk,
+  fetchShopifyCollections,
+  fetchShopifyInventoryLevels,
+  fetchShopifyProductIndex,
+  fetchShopifyProductPage
+};
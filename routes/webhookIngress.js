@@ -0,0 +1,86 @@
+// routes/webhookIngress.js
+// Shopify webhook ingress: verifies the HMAC over the raw body, resolves the
+// shop to its Store and routes by X-Shopify-Topic to the handlers in webhooks.js
+
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import {
+  verifyShopifyWebhook,
+  handleShopifyProductCreate,
+  handleShopifyProductUpdate,
+  handleShopifyProductDelete,
+  handleShopifyInventoryUpdate,
+  handleShopifyOrderCreate,
+  handleShopifyBulkOperationFinish,
+  handleShopifyAppUninstalled,
+  handleShopifyCustomersDataRequest,
+  handleShopifyCustomersRedact,
+  handleShopifyShopRedact
+} from './webhooks.js';
+
+const prisma = new PrismaClient();
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+const SHOPIFY_TOPIC_HANDLERS = {
+  'products/create': handleShopifyProductCreate,
+  'products/update': handleShopifyProductUpdate,
+  'products/delete': handleShopifyProductDelete,
+  'inventory_levels/update': handleShopifyInventoryUpdate,
+  'orders/create': handleShopifyOrderCreate,
+  'bulk_operations/finish': handleShopifyBulkOperationFinish,
+  'app/uninstalled': handleShopifyAppUninstalled,
+  'customers/data_request': handleShopifyCustomersDataRequest,
+  'customers/redact': handleShopifyCustomersRedact,
+  'shop/redact': handleShopifyShopRedact
+};
+
+// Topics still handled once the store is uninstalled or purged
+const LIFECYCLE_TOPICS = new Set(['app/uninstalled', 'customers/data_request', 'customers/redact', 'shop/redact']);
+
+// HTTP routes for incoming webhooks, mounted at /webhooks
+export default function webhookIngressRoutes() {
+  const router = Router();
+
+  /**
+   * POST /webhooks/shopify (and any path below it)
+   * Every Shopify webhook. Unsigned or tampered requests get 401; topics we
+   * don't handle and stores that are no longer active are acknowledged and ignored.
+   */
+  router.post(['/shopify', '/shopify/*path'], async (req, res) => {
+    const topic = req.get('X-Shopify-Topic');
+    const shop = req.get('X-Shopify-Shop-Domain');
+
+    if (!verifyShopifyWebhook(req, process.env.SHOPIFY_API_SECRET)) {
+      console.warn(`🚫 Rejected Shopify webhook with invalid signature (${topic || 'no topic'} from ${shop || 'unknown shop'})`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    if (!topic || !shop || !SHOP_DOMAIN.test(shop)) {
+      return res.status(400).json({ error: 'Missing or invalid X-Shopify-Topic / X-Shopify-Shop-Domain' });
+    }
+
+    const handler = SHOPIFY_TOPIC_HANDLERS[topic];
+    if (!handler) {
+      console.warn(`⚠️ No handler for Shopify webhook topic ${topic}`);
+      return res.status(200).json({ ignored: true });
+    }
+
+    try {
+      const store = await prisma.store.findUnique({ where: { shop } });
+
+      if (!store?.isActive && !LIFECYCLE_TOPICS.has(topic)) {
+        console.warn(`⚠️ Ignoring ${topic} webhook for ${store ? 'inactive' : 'unknown'} store ${shop}`);
+        return res.status(200).json({ ignored: true });
+      }
+
+      req.shop = shop;
+      req.store = store;
+      await handler(req, res);
+    } catch (error) {
+      console.error('Webhook error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -3,30 +3,46 @@
 
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import { notifyBulkOperationFinished } from '../lib/shopifyBulk.js';
+import { toProductGid } from '../lib/productRemoval.js';
+import { enqueueJob } from '../lib/jobQueue.js';
+import { createShopifyClient } from '../lib/shopifyGraphql.js';
+import { deactivateStore } from '../lib/storeLifecycle.js';
+import { createPrivacyRequest } from '../lib/privacy.js';
 
 const prisma = new PrismaClient();
 
+// express.json() verify hook: keep the exact bytes Shopify signed
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
 // Verify Shopify webhook signature
-function verifyShopifyWebhook(req, secret) {
+export function verifyShopifyWebhook(req, secret) {
   const hmacHeader = req.get('X-Shopify-Hmac-SHA256');
-  if (!hmacHeader) return false;
+  if (!hmacHeader || !secret) return false;
   
   const body = req.rawBody; // Must be raw body, not parsed
+  if (!body) return false;
+  
   const hmac = crypto
     .createHmac('sha256', secret)
-    .update(body, 'utf8')
-    .digest('base64');
+    .update(body)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
   
-  return hmac === hmacHeader;
+  // Constant-time comparison; lengths must match first
+  return received.length === hmac.length && crypto.timingSafeEqual(received, hmac);
 }
 
 // Log webhook event
-async function logWebhook(source, event, payload, processed = false, error = null) {
+async function logWebhook(source, event, payload, { shop = null, processed = false, error = null } = {}) {
   try {
     await prisma.webhookLog.create({
       data: {
         source,
         event,
+        storeName: shop,
         payload: JSON.stringify(payload),
         processed,
         error
@@ -45,18 +61,17 @@ export async function handleShopifyProductCreate(req, res) {
   const product = body;
   
   try {
-    await logWebhook('shopify', 'product/create', product);
+    await logWebhook('shopify', 'product/create', product, { shop });
     
     // Trigger product sync
     console.log(`🔄 Queuing sync for new product: ${product.title}`);
     
-    // TODO: Queue product sync job
-    // await queueSyncJob(shop, 'product', product.id);
+    await enqueueJob('product.sync', { shop, productId: toProductGid(product.id) }, { storeName: shop });
     
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('shopify', 'product/create', product, false, error.message);
+    await logWebhook('shopify', 'product/create', product, { shop, error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
@@ -68,17 +83,38 @@ export async function handleShopifyProductUpdate(req, res) {
   const product = body;
   
   try {
-    await logWebhook('shopify', 'product/update', product);
+    await logWebhook('shopify', 'product/update', product, { shop });
     
-    // Queue product update
+    // Queue product update (the job also takes draft and archived products off the storefront)
     console.log(`🔄 Queuing update for product: ${product.title}`);
     
-    // TODO: Queue product update job
+    await enqueueJob('product.sync', { shop, productId: toProductGid(product.id) }, { storeName: shop });
     
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('shopify', 'product/update', product, false, error.message);
+    await logWebhook('shopify', 'product/update', product, { shop, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function handleShopifyProductDelete(req, res) {
+  console.log('🗑️ Shopify product deleted webhook');
+  
+  const { shop, body } = req;
+  const product = body;
+  
+  try {
+    await logWebhook('shopify', 'product/delete', product, { shop });
+    
+    console.log(`🗑️ Queuing removal for deleted product: ${product.id}`);
+    
+    await enqueueJob('product.remove', { shop, productId: toProductGid(product.id) }, { storeName: shop });
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+    await logWebhook('shopify', 'product/delete', product, { shop, error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
@@ -90,17 +126,16 @@ export async function handleShopifyInventoryUpdate(req, res) {
   const inventoryLevel = body;
   
   try {
-    await logWebhook('shopify', 'inventory_levels/update', inventoryLevel);
+    await logWebhook('shopify', 'inventory_levels/update', inventoryLevel, { shop });
     
-    console.log(`🔄 Updating inventory for SKU: ${inventoryLevel.sku}`);
+    console.log(`🔄 Queuing inventory update for item: ${inventoryLevel.inventory_item_id}`);
     
-    // TODO: Update product variant inventory in Medusa
-    // await updateMedusaInventory(inventoryLevel);
+    await enqueueJob('inventory.update', { shop, inventoryLevel }, { storeName: shop });
     
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('shopify', 'inventory_levels/update', inventoryLevel, false, error.message);
+    await logWebhook('shopify', 'inventory_levels/update', inventoryLevel, { shop, error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
@@ -112,35 +147,114 @@ export async function handleShopifyOrderCreate(req, res) {
   const order = body;
   
   try {
-    await logWebhook('shopify', 'orders/create', order);
+    await logWebhook('shopify', 'orders/create', order, { shop });
+    
+    await enqueueJob('order.create', {
+      shop,
+      orderId: order.admin_graphql_api_id,
+      orderName: order.name
+    }, { storeName: shop });
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+    await logWebhook('shopify', 'orders/create', order, { shop, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function handleShopifyBulkOperationFinish(req, res) {
+  console.log('📦 Shopify bulk operation finished webhook');
+  
+  const { shop, body } = req;
+  const operation = body;
+  
+  try {
+    await logWebhook('shopify', 'bulk_operations/finish', operation, { shop });
+    
+    console.log(`📦 Bulk operation ${operation.admin_graphql_api_id} finished: ${operation.status}`);
+    
+    // Wake up the sync waiting on this operation instead of its next poll
+    notifyBulkOperationFinished(operation.admin_graphql_api_id);
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+    await logWebhook('shopify', 'bulk_operations/finish', operation, { shop, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function handleShopifyAppUninstalled(req, res) {
+  console.log('🔌 Shopify app uninstalled webhook');
+  
+  const { shop, body } = req;
+  
+  try {
+    await logWebhook('shopify', 'app/uninstalled', body, { shop });
     
-    console.log(`📑 New order from Shopify: ${order.name}`);
+    // The token is already revoked: stop using it before anything else runs
+    const summary = await deactivateStore(shop);
+    if (!summary) {
+      console.warn(`⚠️ Uninstall for unknown store: ${shop}`);
+      return res.status(200).json({ success: true });
+    }
     
-    // TODO: Create order in Medusa if fulfilling via this platform
-    // await createMedusaOrder(shop, order);
+    await enqueueJob('store.uninstall', { shop }, { storeName: shop });
     
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('shopify', 'orders/create', order, false, error.message);
+    await logWebhook('shopify', 'app/uninstalled', body, { shop, error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
 
+// Mandatory privacy webhooks: customers/data_request, customers/redact and
+// shop/redact. The request is recorded and carried out by a job.
+async function handleShopifyPrivacyWebhook(topic, req, res) {
+  console.log(`🔏 Shopify ${topic} webhook`);
+  
+  const { shop, body } = req;
+  
+  try {
+    await logWebhook('shopify', topic, body, { shop });
+    
+    const request = await createPrivacyRequest(shop || body.shop_domain, topic, body);
+    await enqueueJob('privacy.request', { requestId: request.id }, { storeName: request.storeName });
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+    await logWebhook('shopify', topic, body, { shop, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export const handleShopifyCustomersDataRequest = (req, res) => handleShopifyPrivacyWebhook('customers/data_request', req, res);
+export const handleShopifyCustomersRedact = (req, res) => handleShopifyPrivacyWebhook('customers/redact', req, res);
+export const handleShopifyShopRedact = (req, res) => handleShopifyPrivacyWebhook('shop/redact', req, res);
+
 // Stuart Webhooks (Delivery Events)
 export async function handleStuartWebhook(req, res) {
   console.log('🚘 Stuart delivery webhook received');
   
   const { body } = req;
   const { job_id, status, event_type } = body;
+  let shop = null;
   
   try {
-    await logWebhook('stuart', `job/${event_type}`, body);
-    
-    // Find the Stuart job mapping
+    // Find the Stuart job mapping, and the store whose delivery it is
     const stuartJob = await prisma.stuartJob.findUnique({
-      where: { stuartJobId: job_id }
+      where: { stuartJobId: job_id },
+      include: {
+        orders: { select: { merchantShop: true }, take: 1 },
+        returns: { select: { store: { select: { shop: true } } }, take: 1 }
+      }
     });
+    shop = stuartJob?.orders[0]?.merchantShop || stuartJob?.returns[0]?.store.shop || null;
+    
+    await logWebhook('stuart', `job/${event_type}`, body, { shop });
     
     if (!stuartJob) {
       console.warn(`⚠️ Stuart job not found: ${job_id}`);
@@ -178,11 +292,11 @@ export async function handleStuartWebhook(req, res) {
       // await notifyCustomers(stuartJob);
     }
     
-    await logWebhook('stuart', `job/${event_type}`, body, true);
+    await logWebhook('stuart', `job/${event_type}`, body, { shop, processed: true });
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Stuart webhook error:', error.message);
-    await logWebhook('stuart', 'job/error', body, false, error.message);
+    await logWebhook('stuart', 'job/error', body, { shop, error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
@@ -206,7 +320,7 @@ export async function handleMedusaOrderCreated(req, res) {
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('medusa', 'order.created', body, false, error.message);
+    await logWebhook('medusa', 'order.created', body, { error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
@@ -229,11 +343,18 @@ export async function handleMedusaOrderCompleted(req, res) {
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error.message);
-    await logWebhook('medusa', 'order.completed', body, false, error.message);
+    await logWebhook('medusa', 'order.completed', body, { error: error.message });
     res.status(500).json({ error: error.message });
   }
 }
 
+const WEBHOOK_SUBSCRIPTION_CREATE = `mutation ($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+  webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+    userErrors { field message }
+    webhookSubscription { id }
+  }
+}`;
+
 // Webhook registration helper
 export async function setupWebhooks(shop, shopify) {
   console.log(`📁 Setting up webhooks for shop: ${shop}`);
@@ -241,29 +362,27 @@ export async function setupWebhooks(shop, shopify) {
   const webhookTopics = [
     { topic: 'PRODUCTS_CREATE', path: '/webhooks/shopify/products/create' },
     { topic: 'PRODUCTS_UPDATE', path: '/webhooks/shopify/products/update' },
+    { topic: 'PRODUCTS_DELETE', path: '/webhooks/shopify/products/delete' },
     { topic: 'INVENTORY_LEVELS_UPDATE', path: '/webhooks/shopify/inventory/update' },
-    { topic: 'ORDERS_CREATE', path: '/webhooks/shopify/orders/create' }
+    { topic: 'ORDERS_CREATE', path: '/webhooks/shopify/orders/create' },
+    { topic: 'BULK_OPERATIONS_FINISH', path: '/webhooks/shopify/bulk_operations/finish' },
+    { topic: 'APP_UNINSTALLED', path: '/webhooks/shopify/app/uninstalled' }
   ];
   
   try {
+    const client = createShopifyClient(shopify, shop);
+    
     for (const webhook of webhookTopics) {
-      const response = await shopify.clients.graphqlProxy({ shop }).query({
-        data: `mutation {
-          webhookSubscriptionCreate(
-            topic: ${webhook.topic}
-            webhookSubscription: {
-              format: JSON
-              address: "${process.env.HOST}${webhook.path}"
-            }
-          ) {
-            userErrors { field message }
-            webhookSubscription { id }
-          }
-        }`
+      const data = await client.request(WEBHOOK_SUBSCRIPTION_CREATE, {
+        topic: webhook.topic,
+        webhookSubscription: {
+          format: 'JSON',
+          callbackUrl: `${process.env.HOST}${webhook.path}`
+        }
       });
       
-      if (response.body.data?.webhookSubscriptionCreate?.userErrors?.length > 0) {
-        console.error(`❌ Failed to create ${webhook.topic}:`, response.body.data.webhookSubscriptionCreate.userErrors);
+      if (data.webhookSubscriptionCreate.userErrors.length > 0) {
+        console.error(`❌ Failed to create ${webhook.topic}:`, data.webhookSubscriptionCreate.userErrors);
       } else {
         console.log(`✅ Created webhook for ${webhook.topic}`);
       }
@@ -277,8 +396,14 @@ export async function setupWebhooks(shop, shopify) {
 export default {
   handleShopifyProductCreate,
   handleShopifyProductUpdate,
+  handleShopifyProductDelete,
   handleShopifyInventoryUpdate,
   handleShopifyOrderCreate,
+  handleShopifyBulkOperationFinish,
+  handleShopifyAppUninstalled,
+  handleShopifyCustomersDataRequest,
+  handleShopifyCustomersRedact,
+  handleShopifyShopRedact,
   handleStuartWebhook,
   handleMedusaOrderCreated,
   handleMedusaOrderCompleted,
@@ -0,0 +1,95 @@
+// scripts/rotateEncryptionKey.js
+// Re-encrypt stored credentials under the active key (TOKEN_ENCRYPTION_KEY_ID)
+//
+// Safe to run while the app is serving: rows are rewritten one at a time, and
+// only if the value hasn't changed since it was read. Rotating to a new key:
+//   1. add the new key to TOKEN_ENCRYPTION_KEYS everywhere, keeping the old one
+//   2. set TOKEN_ENCRYPTION_KEY_ID to the new key and redeploy
+//   3. run `npm run keys:rotate` until it reports nothing left
+//   4. remove the old key from TOKEN_ENCRYPTION_KEYS
+// The same run also encrypts plaintext tokens stored before encryption was on.
+//
+// Usage: node scripts/rotateEncryptionKey.js [--dry-run]
+
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import {
+  ENCRYPTED_COLUMNS,
+  isEncryptionConfigured,
+  needsRotation,
+  rotateSecret
+} from '../lib/tokenEncryption.js';
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+// Rotate one column, paging through rows by id
+async function rotateColumn({ model, field }) {
+  const counts = { checked: 0, rotated: 0, skipped: 0, failed: 0 };
+  let cursor;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      select: { id: true, [field]: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+    if (rows.length === 0) break;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      counts.checked++;
+      if (!needsRotation(row[field])) continue;
+
+      if (dryRun) {
+        counts.rotated++;
+        continue;
+      }
+
+      try {
+        // Compare-and-set: a token replaced meanwhile (e.g. a reinstall) is
+        // already under the active key
+        const { count } = await prisma[model].updateMany({
+          where: { id: row.id, [field]: row[field] },
+          data: { [field]: rotateSecret(row[field]) }
+        });
+        counts[count > 0 ? 'rotated' : 'skipped']++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`❌ ${model} ${row.id}: ${error.message}`);
+      }
+    }
+  }
+
+  return counts;
+}
+
+async function main() {
+  if (!isEncryptionConfigured()) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  console.log(`🔑 Rotating stored credentials to ${process.env.TOKEN_ENCRYPTION_KEY_ID || 'the first configured key'}${dryRun ? ' (dry run)' : ''}`);
+
+  let failed = 0;
+  for (const column of ENCRYPTED_COLUMNS) {
+    const counts = await rotateColumn(column);
+    failed += counts.failed;
+    console.log(`   ${column.model}.${column.field}: ${counts.checked} checked, ${counts.rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${counts.skipped} changed meanwhile, ${counts.failed} failed`);
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} values could not be rotated`);
+  }
+  console.log('✅ Rotation complete');
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -6,13 +6,32 @@ import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import { shopifyApi, ApiVersion } from '@shopify/shopify-api';
 import '@shopify/shopify-api/adapters/node';
+import MedusaClient from './lib/medusaClient.js';
+import { startSyncScheduler, startReconciliationScheduler } from './lib/syncScheduler.js';
+import { startJobWorker } from './lib/jobQueue.js';
+import { createJobHandlers } from './lib/jobHandlers.js';
+import { sessionStorage, loadOfflineSession } from './lib/sessionStorage.js';
+import { assertEncryptionConfigured } from './lib/tokenEncryption.js';
+import { reactivateStore } from './lib/storeLifecycle.js';
+import { requireAdmin } from './lib/adminAuth.js';
+import { toProductGid } from './lib/productRemoval.js';
+import { setupWebhooks, captureRawBody, verifyShopifyWebhook } from './routes/webhooks.js';
+import webhookIngressRoutes from './routes/webhookIngress.js';
+import syncRoutes, { fetchShopifyProduct, fetchShopifyProductPage } from './routes/sync.js';
+import mappingRulesRoutes from './routes/mappingRules.js';
+import inventoryRoutes from './routes/inventory.js';
+import priceRulesRoutes from './routes/priceRules.js';
+import moderationRoutes from './routes/moderation.js';
+import reconciliationRoutes from './routes/reconciliation.js';
+import privacyRoutes from './routes/privacy.js';
 
 const app = express();
 
 // Security middlewares
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json());
+// Raw body kept for webhook HMAC checks; product and order payloads can be large
+app.use(express.json({ limit: '5mb', verify: captureRawBody }));
 app.use(cookieParser());
 
 // Skip ngrok browser warning
@@ -28,6 +47,14 @@ if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET || !process.
   process.exit(1);
 }
 
+// Access tokens are encrypted at rest; production refuses to run without keys
+try {
+  assertEncryptionConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Shopify API Setup
 const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -39,6 +66,7 @@ const shopify = shopifyApi({
       'read_inventory',
       'write_inventory',
       'read_locations',
+      'read_markets',
       'read_orders',
     ],
   hostName: process.env.HOST.replace(/^https?:\/\//, '').replace(/\/$/, ''),
@@ -51,6 +79,9 @@ const shopify = shopifyApi({
   },
 });
 
+// Medusa Admin API client used by product sync
+const medusaClient = new MedusaClient(process.env.MEDUSA_ADMIN_URL, process.env.MEDUSA_ADMIN_TOKEN);
+
 // Basic root route
 app.get('/', (req, res) => {
   res.send(`
@@ -72,62 +103,71 @@ app.get('/health', (req, res) => res.status(200).json({ status: 'ok' }));
 
 // ===== REAL SHOPIFY ENDPOINTS ===== //
 
-// Begin OAuth install
+// Begin OAuth install. Requests an offline token, so syncs can run without a
+// merchant session; the library redirects to Shopify itself.
 app.get('/auth/begin', async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
   }
   try {
-    const authRoute = await shopify.auth.begin({ shop, callbackPath: '/auth/callback' });
-    return res.redirect(authRoute.url);
+    await shopify.auth.begin({
+      shop,
+      callbackPath: '/auth/callback',
+      isOnline: false,
+      rawRequest: req,
+      rawResponse: res,
+    });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// OAuth callback -- store tokens securely
-// Use in-memory store for demo (replace with DB in production)
-const sessionStore = {};
+// OAuth callback -- persist the session and the Store row in Postgres
 app.get('/auth/callback', async (req, res) => {
   try {
-    const callbackResponse = await shopify.auth.callback({
-      query: req.query,
-      body: req.body,
+    const { session } = await shopify.auth.callback({
+      rawRequest: req,
+      rawResponse: res,
     });
-    const { shop, accessToken, scope } = callbackResponse.session;
-    // TODO: Store tokens in secure DB. Here we use in-memory for demo/testing.
-    sessionStore[shop] = { accessToken, scope };
-    return res.redirect(`/?shop=${shop}&installed=1`);
+    await sessionStorage.storeSession(session);
+    console.log(`✅ Installed on ${session.shop}`);
+
+    // Shopify drops webhook subscriptions on uninstall, so register them on
+    // every install; a reinstalled store is resynced onto its old mappings
+    try {
+      await setupWebhooks(session.shop, shopify);
+    } catch (error) {
+      console.error(`⚠️ Webhook setup failed for ${session.shop}: ${error.message}`);
+    }
+    await reactivateStore(session.shop);
+    return res.redirect(`/?shop=${session.shop}&installed=1`);
   } catch (error) {
     return res.status(500).send('Authentication error: ' + error.message);
   }
 });
 
-// Example: Proxy Shopify REST API request (products)
+// Example: list a page of the store's products (?after= continues from pageInfo.endCursor)
 app.get('/shop/products', async (req, res) => {
   const shop = req.query.shop;
-  if (!shop || !sessionStore[shop]) {
-    return res.status(401).json({ error: 'Not installed or authenticated'});
-  }
   try {
-    const response = await fetch(`https://${shop}/admin/api/2024-10/products.json`, {
-      headers: {
-        'X-Shopify-Access-Token': sessionStore[shop].accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
-    const data = await response.json();
-    return res.json({ status: 'success', products: data.products || [] });
+    const session = shop && await loadOfflineSession(shop);
+    if (!session) {
+      return res.status(401).json({ error: 'Not installed or authenticated'});
+    }
+    const { products, pageInfo } = await fetchShopifyProductPage(shop, shopify, { after: req.query.after || null });
+    return res.json({ status: 'success', products, pageInfo });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
-// Example: Webhook handler (for products, orders etc)
+// Example: forward a verified Shopify webhook to Medusa as is. Webhooks the
+// connector handles itself arrive at /webhooks/shopify.
 app.post('/shopify/webhook', async (req, res) => {
-  // Shopify sends webhook data in req.body
-  // TODO: Verify HMAC signature, route to Medusa backend
+  if (!verifyShopifyWebhook(req, process.env.SHOPIFY_API_SECRET)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
   try {
     // Forward event to Medusa (replace URL with real Medusa endpoint)
     await fetch(process.env.MEDUSA_WEBHOOK_URL, {
@@ -144,23 +184,24 @@ app.post('/shopify/webhook', async (req, res) => {
 // Proxy Medusa sync (push Shopify product to Medusa)
 app.post('/medusa/sync-product', async (req, res) => {
   const { shop, productId } = req.body;
-  if (!shop || !productId || !sessionStore[shop]) {
+  if (!shop || !productId) {
     return res.status(400).json({ error: 'Missing shop or productId'});
   }
   try {
+    const session = await loadOfflineSession(shop);
+    if (!session) {
+      return res.status(401).json({ error: 'Not installed or authenticated'});
+    }
     // Get product details from Shopify
-    const response = await fetch(`https://${shop}/admin/api/2024-10/products/${productId}.json`, {
-      headers: {
-        'X-Shopify-Access-Token': sessionStore[shop].accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
-    const data = await response.json();
+    const product = await fetchShopifyProduct(shop, shopify, toProductGid(productId));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found in Shopify' });
+    }
     // Push product to Medusa backend
     await fetch(process.env.MEDUSA_PRODUCT_PUSH_URL, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data.product)
+      body: JSON.stringify(product)
     });
     return res.json({ status: 'success', message: 'Synced with Medusa' });
   } catch (err) {
@@ -168,6 +209,30 @@ app.post('/medusa/sync-product', async (req, res) => {
   }
 });
 
+// Shopify webhooks, verified and routed by topic
+app.use('/webhooks', webhookIngressRoutes());
+
+// Sync run history and previews
+app.use('/sync', requireAdmin, syncRoutes(shopify, medusaClient));
+
+// Per-store field mapping rules
+app.use('/mapping-rules', requireAdmin, mappingRulesRoutes(shopify));
+
+// Inventory settings
+app.use('/inventory', requireAdmin, inventoryRoutes());
+
+// Marketplace price rules
+app.use('/price-rules', requireAdmin, priceRulesRoutes(shopify));
+
+// Product moderation queue
+app.use('/moderation', requireAdmin, moderationRoutes(shopify, medusaClient));
+
+// Reconciliation audits
+app.use('/reconciliation', requireAdmin, reconciliationRoutes());
+
+// Privacy requests (customer data exports and erasure)
+app.use('/privacy', requireAdmin, privacyRoutes());
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: '❌ Route not found', path: req.path, method: req.method });
@@ -178,4 +243,7 @@ const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`🛍️  Shopify API initialized`);
+  startSyncScheduler();
+  startReconciliationScheduler();
+  startJobWorker(createJobHandlers(shopify, medusaClient));
 });
@@ -0,0 +1,34 @@
+// test/currency.test.js
+// Decimal amounts <-> integer minor units
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMinorUnits, fromMinorUnits, minorUnitExponent } from '../lib/currency.js';
+
+test('two-decimal currencies use cents', () => {
+  assert.equal(toMinorUnits(19.99, 'USD'), 1999);
+  assert.equal(toMinorUnits('19.99', 'eur'), 1999);
+  assert.equal(fromMinorUnits(1999, 'USD'), 19.99);
+});
+
+test('zero-decimal currencies have no minor unit', () => {
+  assert.equal(minorUnitExponent('JPY'), 0);
+  assert.equal(toMinorUnits(1500, 'JPY'), 1500);
+  assert.equal(toMinorUnits('1500', 'jpy'), 1500);
+  assert.equal(fromMinorUnits(1500, 'JPY'), 1500);
+});
+
+test('three-decimal currencies use thousandths', () => {
+  assert.equal(minorUnitExponent('KWD'), 3);
+  assert.equal(toMinorUnits(1.234, 'KWD'), 1234);
+  assert.equal(fromMinorUnits(1234, 'KWD'), 1.234);
+});
+
+test('float error is rounded away', () => {
+  assert.equal(toMinorUnits(0.1 + 0.2, 'USD'), 30);
+});
+
+test('a missing currency code is a clear error', () => {
+  assert.throws(() => toMinorUnits(10, undefined), /currency code is required/);
+  assert.throws(() => fromMinorUnits(10, null), /currency code is required/);
+});
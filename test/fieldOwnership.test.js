@@ -0,0 +1,120 @@
+// test/fieldOwnership.test.js
+// Ownership decisions across consecutive syncs of one product
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyFieldOwnership,
+  buildFieldHashes,
+  changedMedusaFields,
+  validateFieldOwnership
+} from '../lib/fieldOwnership.js';
+
+const LAST_WRITER_WINS = { title: 'last-writer-wins' };
+
+// One product update as syncProductToMedusa runs it: decide, write the allowed
+// fields to Medusa, store the new hashes
+function sync(ownership, payload, medusaProduct, fieldHashes, openConflicts = []) {
+  const { fields, withheld, conflicts } = applyFieldOwnership(ownership, payload, medusaProduct, fieldHashes, openConflicts);
+  const updated = { ...medusaProduct, ...fields };
+  return { updated, withheld, conflicts, fieldHashes: buildFieldHashes(payload, updated, withheld) };
+}
+
+// A product as created from Shopify, with its hashes
+function created(payload) {
+  return { medusaProduct: { ...payload }, fieldHashes: buildFieldHashes(payload, payload) };
+}
+
+test('shopify-owned fields always take the Shopify value', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A', description: 'x' });
+
+  const result = sync({}, { title: 'A', description: 'y' }, { ...medusaProduct, title: 'B' }, fieldHashes);
+
+  assert.deepEqual(result.withheld, []);
+  assert.equal(result.updated.title, 'A');
+});
+
+test('medusa-owned fields are never written on update', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A' });
+
+  const result = sync({ title: 'medusa' }, { title: 'C' }, medusaProduct, fieldHashes);
+
+  assert.deepEqual(result.withheld, ['title']);
+  assert.equal(result.updated.title, 'A');
+});
+
+test('a Medusa edit survives a later sync of an unrelated Shopify change', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A', description: 'x' });
+
+  // Edited in Medusa, then Shopify changes something else
+  const first = sync(LAST_WRITER_WINS, { title: 'A', description: 'y' }, { ...medusaProduct, title: 'B' }, fieldHashes);
+  assert.deepEqual(first.withheld, ['title']);
+  assert.deepEqual(first.conflicts, []);
+  assert.equal(first.updated.title, 'B');
+
+  // Another unrelated Shopify change
+  const second = sync(LAST_WRITER_WINS, { title: 'A', description: 'z' }, first.updated, first.fieldHashes);
+  assert.deepEqual(second.withheld, ['title']);
+  assert.equal(second.updated.title, 'B');
+  assert.equal(second.updated.description, 'z');
+});
+
+test('a Shopify change made after a kept Medusa edit wins', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A' });
+  const first = sync(LAST_WRITER_WINS, { title: 'A' }, { ...medusaProduct, title: 'B' }, fieldHashes);
+
+  const second = sync(LAST_WRITER_WINS, { title: 'C' }, first.updated, first.fieldHashes);
+
+  assert.deepEqual(second.withheld, []);
+  assert.deepEqual(second.conflicts, []);
+  assert.equal(second.updated.title, 'C');
+  assert.equal(second.fieldHashes.title.held, undefined);
+});
+
+test('both sides changing between syncs keeps the Medusa edit and opens a conflict', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A' });
+
+  const result = sync(LAST_WRITER_WINS, { title: 'C' }, { ...medusaProduct, title: 'B' }, fieldHashes);
+
+  assert.deepEqual(result.withheld, ['title']);
+  assert.deepEqual(result.conflicts, [{ field: 'title', shopifyValue: 'C', medusaValue: 'B' }]);
+  assert.equal(result.updated.title, 'B');
+});
+
+test('a field with an open conflict is held back until the conflict is resolved', () => {
+  const { medusaProduct, fieldHashes } = created({ title: 'A', description: 'x' });
+  const first = sync(LAST_WRITER_WINS, { title: 'C', description: 'x' }, { ...medusaProduct, title: 'B' }, fieldHashes);
+
+  // Unrelated change: still held, nothing new to report
+  const second = sync(LAST_WRITER_WINS, { title: 'C', description: 'y' }, first.updated, first.fieldHashes, ['title']);
+  assert.deepEqual(second.withheld, ['title']);
+  assert.deepEqual(second.conflicts, []);
+  assert.equal(second.updated.title, 'B');
+
+  // Shopify changes the field again: still held, the conflict is refreshed
+  const third = sync(LAST_WRITER_WINS, { title: 'D', description: 'y' }, second.updated, second.fieldHashes, ['title']);
+  assert.deepEqual(third.withheld, ['title']);
+  assert.deepEqual(third.conflicts, [{ field: 'title', shopifyValue: 'D', medusaValue: 'B' }]);
+  assert.equal(third.updated.title, 'B');
+});
+
+test('mappings without hashes treat Medusa as unedited', () => {
+  const result = sync(LAST_WRITER_WINS, { title: 'A' }, { title: 'B' }, null);
+
+  assert.deepEqual(result.withheld, []);
+  assert.equal(result.updated.title, 'A');
+});
+
+test('metadata key order is not a change', () => {
+  const { fieldHashes } = created({ metadata: { a: 1, b: 2 } });
+
+  assert.deepEqual(changedMedusaFields(fieldHashes, { metadata: { b: 2, a: 1 } }), []);
+  assert.deepEqual(changedMedusaFields(fieldHashes, { metadata: { a: 1 } }), ['metadata']);
+});
+
+test('validateFieldOwnership rejects unknown fields and modes', () => {
+  assert.deepEqual(validateFieldOwnership({ title: 'medusa', images: 'last-writer-wins' }), []);
+  assert.equal(validateFieldOwnership({ price: 'medusa' }).length, 1);
+  assert.equal(validateFieldOwnership({ title: 'whoever' }).length, 1);
+  assert.equal(validateFieldOwnership([]).length, 1);
+});
@@ -0,0 +1,82 @@
+// test/mappingRules.test.js
+// Mapping rule filters, templates and conversions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyMappingRules, validateMappingRules } from '../lib/mappingRules.js';
+
+const shopifyProduct = {
+  title: 'Tee',
+  vendor: 'Acme',
+  productType: 'Tees',
+  tags: ['summer', 'wholesale'],
+  description: '<p>Soft cotton. Free shipping!</p>',
+  variants: {
+    edges: [
+      { node: { sku: 'TEE-S', title: 'Small', weight: 2, weightUnit: 'POUNDS' } },
+      { node: { sku: 'TEE-L', title: 'Large', weight: 500, weightUnit: 'GRAMS' } }
+    ]
+  }
+};
+
+const transformed = {
+  title: 'Tee',
+  productType: 'Tees',
+  metadata: { source: 'shopify' },
+  variants: [{ sku: 'TEE-S', weight: 2 }, { sku: 'TEE-L', weight: 500 }]
+};
+
+test('include and exclude filters drop products', () => {
+  assert.equal(applyMappingRules({ exclude: [{ field: 'tags', op: 'contains', value: 'wholesale' }] }, shopifyProduct, transformed), null);
+  assert.equal(applyMappingRules({ include: [{ field: 'vendor', op: 'eq', value: 'Other' }] }, shopifyProduct, transformed), null);
+  assert.notEqual(applyMappingRules({ include: [{ field: 'vendor', op: 'in', value: ['Acme'] }] }, shopifyProduct, transformed), null);
+});
+
+test('templates, pipes, maps and replacements set fields', () => {
+  const result = applyMappingRules({
+    fields: {
+      title: '{{vendor | upper}} - {{title}}',
+      productType: { from: 'productType', map: { Tees: 'T-Shirts' }, default: 'Other' },
+      description: { template: '{{description | stripHtml}}', replace: [{ pattern: ' Free shipping!?', with: '' }] },
+      'metadata.handle_hint': '{{title | slug}}'
+    }
+  }, shopifyProduct, transformed);
+
+  assert.equal(result.title, 'ACME - Tee');
+  assert.equal(result.productType, 'T-Shirts');
+  assert.equal(result.description, 'Soft cotton.');
+  assert.deepEqual(result.metadata, { source: 'shopify', handle_hint: 'tee' });
+  assert.deepEqual(transformed.metadata, { source: 'shopify' });
+});
+
+test('unmapped values fall back to the default', () => {
+  const result = applyMappingRules({
+    fields: { productType: { from: 'productType', map: { Hoodies: 'Sweatshirts' }, default: 'Other' } }
+  }, shopifyProduct, transformed);
+
+  assert.equal(result.productType, 'Other');
+});
+
+test('variant rules exclude variants and convert weights to grams', () => {
+  const result = applyMappingRules({
+    variantExclude: [{ field: 'title', op: 'eq', value: 'Large' }],
+    variantFields: { weight: { from: 'weight', convert: 'grams' }, 'metadata.brand': '{{product.vendor}}' }
+  }, shopifyProduct, transformed);
+
+  assert.deepEqual(result.variants, [
+    { sku: 'TEE-S', weight: 907.18, weightUnit: 'GRAMS', metadata: { brand: 'Acme' } }
+  ]);
+});
+
+test('validateMappingRules reports malformed rules', () => {
+  assert.deepEqual(validateMappingRules({ fields: { title: '{{title | upper}}' } }), []);
+  assert.deepEqual(validateMappingRules([]), ['Rule set must be a JSON object']);
+
+  const errors = validateMappingRules({
+    include: [{ field: 'tags', op: 'has' }],
+    exclude: [{ field: 'vendor', op: 'in', value: 'Acme' }],
+    fields: { title: '{{title | shout}}', weight: { from: 'weight', convert: 'pounds' } }
+  });
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /unknown pipe "shout"/);
+});
@@ -0,0 +1,52 @@
+// test/medusaClient.test.js
+// Request bodies the Medusa client sends, with the HTTP client replaced
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MedusaClient from '../lib/medusaClient.js';
+
+// A client whose requests are recorded instead of sent
+function recordingClient(order = {}) {
+  const medusa = new MedusaClient('http://medusa.test', 'token');
+  const requests = [];
+  medusa.client = {
+    get: async url => {
+      requests.push({ method: 'GET', url });
+      return { data: { order } };
+    },
+    post: async (url, body) => {
+      requests.push({ method: 'POST', url, body });
+      return { data: { order } };
+    }
+  };
+  return { medusa, requests };
+}
+
+test('refunds are sent in the minor units of a zero-decimal currency', async () => {
+  const { medusa, requests } = recordingClient();
+  await medusa.createRefund('order_1', 1500, 'return', 'JPY');
+
+  assert.deepEqual(requests, [{ method: 'POST', url: '/orders/order_1/refunds', body: { amount: 1500, reason: 'return' } }]);
+});
+
+test('refunds are sent in the minor units of a three-decimal currency', async () => {
+  const { medusa, requests } = recordingClient();
+  await medusa.createRefund('order_1', 12.345, 'return', 'KWD');
+
+  assert.deepEqual(requests[0].body, { amount: 12345, reason: 'return' });
+});
+
+test('refunds without a currency use the order currency', async () => {
+  const { medusa, requests } = recordingClient({ id: 'order_1', currency_code: 'jpy' });
+  await medusa.createRefund('order_1', 1500, 'return');
+
+  assert.deepEqual(requests.map(r => r.method), ['GET', 'POST']);
+  assert.deepEqual(requests[1].body, { amount: 1500, reason: 'return' });
+});
+
+test('refunds fail clearly when no currency is known', async () => {
+  const { medusa, requests } = recordingClient({ id: 'order_1' });
+
+  await assert.rejects(medusa.createRefund('order_1', 10, 'return'), /No currency for refund on order order_1/);
+  assert.equal(requests.filter(r => r.method === 'POST').length, 0);
+});
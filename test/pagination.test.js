@@ -0,0 +1,26 @@
+// test/pagination.test.js
+// ?limit= / ?offset= parsing for the list endpoints
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePagination } from '../lib/pagination.js';
+
+test('valid values are used as given', () => {
+  assert.deepEqual(parsePagination({ limit: '20', offset: '40' }), { limit: 20, offset: 40 });
+});
+
+test('missing values use the defaults', () => {
+  assert.deepEqual(parsePagination({}), { limit: 50, offset: 0 });
+  assert.deepEqual(parsePagination({}, { limit: 500, max: 1000 }), { limit: 500, offset: 0 });
+});
+
+test('malformed values fall back to the defaults', () => {
+  assert.deepEqual(parsePagination({ limit: 'abc', offset: 'xyz' }), { limit: 50, offset: 0 });
+  assert.deepEqual(parsePagination({ limit: '0', offset: '-5' }), { limit: 50, offset: 0 });
+  assert.deepEqual(parsePagination({ limit: '-10' }), { limit: 50, offset: 0 });
+});
+
+test('limit is capped at the maximum', () => {
+  assert.deepEqual(parsePagination({ limit: '5000' }), { limit: 100, offset: 0 });
+  assert.deepEqual(parsePagination({ limit: '5000' }, { max: 500 }), { limit: 500, offset: 0 });
+});
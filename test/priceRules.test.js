@@ -0,0 +1,84 @@
+// test/priceRules.test.js
+// Markups, commission, margin floors and rounding in each currency's minor units
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPriceRules, computePrice, selectMarkup, validatePriceRules } from '../lib/priceRules.js';
+
+test('the most specific markup scope wins', () => {
+  const rules = {
+    markups: [
+      { scope: 'store', percent: 5 },
+      { scope: 'vendor', value: 'Acme', percent: 10 },
+      { scope: 'tag', value: 'sale', percent: -20 }
+    ]
+  };
+
+  assert.equal(selectMarkup(rules, { vendor: 'Acme', tags: ['sale'] }).percent, -20);
+  assert.equal(selectMarkup(rules, { vendor: 'Acme', tags: [] }).percent, 10);
+  assert.equal(selectMarkup(rules, { vendor: 'Other' }).percent, 5);
+  assert.equal(selectMarkup({}, { vendor: 'Acme' }), null);
+});
+
+test('markups, commission and margin floors', () => {
+  assert.equal(computePrice({}, 10, { percent: 10, fixed: 2 }, 'USD'), 13);
+  // Market prices skip the store-currency fixed amount
+  assert.equal(computePrice({}, 10, { percent: 10, fixed: 2 }, 'EUR', false), 11);
+  assert.equal(computePrice({ commissionPercent: 20 }, 10, null, 'USD'), 12.5);
+  assert.equal(computePrice({ minMargin: { percent: 15, amount: 2 } }, 10, { percent: 5 }, 'USD'), 12);
+  assert.equal(computePrice({}, null, null, 'USD'), null);
+});
+
+test('ending rounding uses the currency minor units', () => {
+  const rules = { rounding: { strategy: 'ending', ending: 0.99 } };
+
+  assert.equal(computePrice(rules, 15.2, null, 'USD'), 15.99);
+  assert.equal(computePrice(rules, 15.99, null, 'USD'), 15.99);
+  assert.equal(computePrice({ rounding: { strategy: 'ending', ending: 0.995 } }, 1.2, null, 'KWD'), 1.995);
+});
+
+test('zero-decimal currencies skip sub-unit endings', () => {
+  const rules = { rounding: { strategy: 'ending', ending: 0.99 } };
+
+  assert.equal(computePrice(rules, 1500, null, 'JPY'), 1500);
+  assert.equal(computePrice(rules, 1500, { percent: 10 }, 'JPY'), 1650);
+});
+
+test('increment rounding', () => {
+  assert.equal(computePrice({ rounding: { strategy: 'nearest', increment: 0.5 } }, 10, { percent: 2 }, 'USD'), 10);
+  assert.equal(computePrice({ rounding: { strategy: 'up', increment: 1 } }, 10.2, null, 'USD'), 11);
+  assert.equal(computePrice({ rounding: { strategy: 'up', increment: 10 } }, 1503, null, 'JPY'), 1510);
+  // Finer than the minor unit: nothing to round
+  assert.equal(computePrice({ rounding: { strategy: 'nearest', increment: 0.5 } }, 1503, null, 'JPY'), 1503);
+});
+
+test('rounding to nearest never lands under the margin floor', () => {
+  const rules = { minMargin: { amount: 0.6 }, rounding: { strategy: 'nearest', increment: 1 } };
+  assert.equal(computePrice(rules, 10, null, 'USD'), 11);
+});
+
+test('applyPriceRules prices each variant and market in its own currency', () => {
+  const rules = { markups: [{ scope: 'store', percent: 10 }], rounding: { strategy: 'ending', ending: 0.99 } };
+  const result = applyPriceRules(rules, { tags: [] }, {
+    vendor: 'Acme',
+    variants: [{
+      currencyCode: 'USD',
+      price: 10,
+      compareAtPrice: null,
+      marketPrices: [{ marketId: 'jp', currencyCode: 'JPY', price: 1500, compareAtPrice: 2000 }]
+    }]
+  });
+
+  assert.equal(result.variants[0].price, 11.99);
+  assert.equal(result.variants[0].compareAtPrice, null);
+  assert.deepEqual(result.variants[0].marketPrices, [{ marketId: 'jp', currencyCode: 'JPY', price: 1650, compareAtPrice: 2200 }]);
+});
+
+test('validatePriceRules reports malformed rule sets', () => {
+  assert.deepEqual(validatePriceRules({ markups: [{ scope: 'store', percent: 10 }], rounding: { strategy: 'ending', ending: 0.99 } }), []);
+  assert.deepEqual(validatePriceRules(null), ['Rule set must be a JSON object']);
+  assert.equal(validatePriceRules({ markups: [{ scope: 'brand', value: 'Acme' }] }).length, 1);
+  assert.equal(validatePriceRules({ commissionPercent: 100 }).length, 1);
+  assert.equal(validatePriceRules({ rounding: { strategy: 'ending', ending: 1.5 } }).length, 1);
+  assert.equal(validatePriceRules({ rounding: { strategy: 'up', increment: 0 } }).length, 1);
+});
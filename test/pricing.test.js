@@ -0,0 +1,40 @@
+// test/pricing.test.js
+// Medusa variant prices and sale price lists from Shopify prices
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVariantPrices, buildSalePrices } from '../lib/pricing.js';
+
+const variant = {
+  shopifyVariantId: 'gid://shopify/ProductVariant/1',
+  currencyCode: 'USD',
+  price: 8,
+  compareAtPrice: 10,
+  marketPrices: [
+    { marketId: 'market-jp', currencyCode: 'JPY', price: 1500, compareAtPrice: null },
+    { marketId: 'market-kw', currencyCode: 'KWD', price: 2.5, compareAtPrice: 3.25 },
+    { marketId: 'market-us2', currencyCode: 'USD', price: 7, compareAtPrice: null }
+  ]
+};
+
+test('variant prices are the pre-sale price in minor units, one per currency', () => {
+  assert.deepEqual(buildVariantPrices(variant), [
+    { currency_code: 'usd', amount: 1000 },
+    { currency_code: 'jpy', amount: 1500 },
+    { currency_code: 'kwd', amount: 3250 }
+  ]);
+});
+
+test('variants without a currency or price get no prices', () => {
+  assert.deepEqual(buildVariantPrices({ currencyCode: null, price: 5 }), []);
+  assert.deepEqual(buildVariantPrices({ currencyCode: 'USD', price: null }), []);
+});
+
+test('sale prices go on the list of their market', () => {
+  const lists = buildSalePrices([variant], [{ id: 'market-jp' }, { id: 'market-kw' }]);
+
+  assert.deepEqual([...lists.keys()], ['default', 'market-jp', 'market-kw']);
+  assert.deepEqual(lists.get('default'), [{ shopifyVariantId: variant.shopifyVariantId, currency_code: 'usd', amount: 800 }]);
+  assert.deepEqual(lists.get('market-jp'), []);
+  assert.deepEqual(lists.get('market-kw'), [{ shopifyVariantId: variant.shopifyVariantId, currency_code: 'kwd', amount: 2500 }]);
+});
@@ -0,0 +1,88 @@
+// test/tokenEncryption.test.js
+// Envelope encryption of stored credentials and key rotation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// A fresh copy of the module, since it reads its keys once
+let copies = 0;
+async function loadEncryption(env) {
+  Object.assign(process.env, env);
+  return import(`../lib/tokenEncryption.js?copy=${++copies}`);
+}
+
+test('secrets round-trip and are tagged with the active key', async () => {
+  const { encryptSecret, decryptSecret, isEncrypted } = await loadEncryption({
+    TOKEN_ENCRYPTION_KEYS: `old:${OLD_KEY}`,
+    TOKEN_ENCRYPTION_KEY_ID: 'old'
+  });
+
+  const stored = encryptSecret('shpat_secret');
+  assert.ok(isEncrypted(stored));
+  assert.ok(stored.startsWith('enc:v1:old:'));
+  assert.ok(!stored.includes('shpat_secret'));
+  assert.equal(decryptSecret(stored), 'shpat_secret');
+  // A fresh data key every time
+  assert.notEqual(encryptSecret('shpat_secret'), stored);
+});
+
+test('empty values and plaintext from before encryption pass through', async () => {
+  const { encryptSecret, decryptSecret, needsRotation } = await loadEncryption({
+    TOKEN_ENCRYPTION_KEYS: `old:${OLD_KEY}`,
+    TOKEN_ENCRYPTION_KEY_ID: 'old'
+  });
+
+  assert.equal(encryptSecret(null), null);
+  assert.equal(encryptSecret(''), '');
+  assert.equal(decryptSecret('shpat_plain'), 'shpat_plain');
+  assert.equal(needsRotation('shpat_plain'), true);
+  assert.equal(needsRotation(null), false);
+});
+
+test('rotation re-wraps values under the new key', async () => {
+  const before = await loadEncryption({ TOKEN_ENCRYPTION_KEYS: `old:${OLD_KEY}`, TOKEN_ENCRYPTION_KEY_ID: 'old' });
+  const stored = before.encryptSecret('shpat_secret');
+
+  const after = await loadEncryption({
+    TOKEN_ENCRYPTION_KEYS: `new:${NEW_KEY},old:${OLD_KEY}`,
+    TOKEN_ENCRYPTION_KEY_ID: 'new'
+  });
+  assert.equal(after.needsRotation(stored), true);
+
+  const rotated = after.rotateSecret(stored);
+  assert.ok(rotated.startsWith('enc:v1:new:'));
+  assert.equal(after.needsRotation(rotated), false);
+  assert.equal(after.decryptSecret(rotated), 'shpat_secret');
+  // Only the data key is re-wrapped; the ciphertext stays
+  assert.equal(rotated.split(':').pop(), stored.split(':').pop());
+
+  const withoutOld = await loadEncryption({ TOKEN_ENCRYPTION_KEYS: `new:${NEW_KEY}`, TOKEN_ENCRYPTION_KEY_ID: 'new' });
+  assert.equal(withoutOld.decryptSecret(rotated), 'shpat_secret');
+  assert.throws(() => withoutOld.decryptSecret(stored), /"old" is not configured/);
+});
+
+test('tampered values fail to decrypt', async () => {
+  const { encryptSecret, decryptSecret } = await loadEncryption({
+    TOKEN_ENCRYPTION_KEYS: `old:${OLD_KEY}`,
+    TOKEN_ENCRYPTION_KEY_ID: 'old'
+  });
+
+  const parts = encryptSecret('shpat_secret').split(':');
+  const payload = Buffer.from(parts[parts.length - 1], 'base64');
+  payload[payload.length - 1] ^= 1;
+  parts[parts.length - 1] = payload.toString('base64');
+
+  assert.throws(() => decryptSecret(parts.join(':')));
+});
+
+test('malformed key configuration is rejected', async () => {
+  const badLength = await loadEncryption({ TOKEN_ENCRYPTION_KEYS: 'short:AAAA', TOKEN_ENCRYPTION_KEY_ID: 'short' });
+  assert.throws(() => badLength.encryptSecret('x'), /must be 32 bytes/);
+
+  const unknownActive = await loadEncryption({ TOKEN_ENCRYPTION_KEYS: `old:${OLD_KEY}`, TOKEN_ENCRYPTION_KEY_ID: 'missing' });
+  assert.throws(() => unknownActive.encryptSecret('x'), /"missing" is not in TOKEN_ENCRYPTION_KEYS/);
+});